@@ -0,0 +1,53 @@
+// api/admin-login.js
+// Exchanges admin credentials for a short-lived session token.
+// POST { username, password } -> { token, expiresAt, username, role }
+
+const { applyCors } = require('../lib/cors');
+const { login } = require('../lib/admin-auth');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 10,
+};
+
+const CORS = {
+  methods: ['POST'],
+};
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { username, password } = req.body || {};
+    const session = await login(req, { username: username ? String(username) : '', password: password ? String(password) : '' });
+    return res.status(200).json({ success: true, ...session });
+  } catch (error) {
+    if (error.extra && error.extra.retryAfter) {
+      res.setHeader('Retry-After', String(error.extra.retryAfter));
+    }
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Admin login error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,111 @@
+// api/audit-log.js
+// Reads the audit log (admin role), newest first, with the sequence numbers
+// and hashes of the entries read verified on every request.
+// GET ?type=&actor=&fileId=&order=&from=&to=&limit=&format=json|csv
+
+const { applyCors } = require('../lib/cors');
+const { requireRole } = require('../lib/admin-auth');
+const { listAuditEntries, entryFileIds } = require('../lib/audit');
+const { toCsv } = require('../lib/csv');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  maxDuration: 30,
+};
+
+const CORS = {
+  methods: ['GET'],
+};
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 5000;
+
+const CSV_COLUMNS = ['seq', 'ts', 'type', 'actor', 'fileIds', 'data', 'hash'];
+
+// ISO timestamp for a date or date-time; a bare date as `to` covers the whole day
+function parseDate(value, endOfDay) {
+  if (!value) return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toCsvRow(entry) {
+  return [
+    entry.seq,
+    entry.ts,
+    entry.type,
+    entry.actor,
+    [...entryFileIds(entry)].join(' '),
+    JSON.stringify(entry.data),
+    entry.hash,
+  ];
+}
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (!requireRole(req, res, 'admin')) {
+      return;
+    }
+
+    const query = req.query || {};
+    const format = query.format || 'json';
+    const from = parseDate(query.from, false);
+    const to = parseDate(query.to, true);
+
+    if (!['json', 'csv'].includes(format) || from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'format must be json or csv, from and to must be dates'
+      });
+    }
+
+    const result = await listAuditEntries({
+      types: query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : undefined,
+      actor: query.actor || undefined,
+      fileId: query.fileId || undefined,
+      order: query.order || undefined,
+      from,
+      to,
+      limit: Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT),
+    });
+
+    if (!result.verification.valid) {
+      console.error('Audit log chain verification failed:', result.verification.problems);
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.setHeader('X-Audit-Chain-Valid', String(result.verification.valid));
+      return res.status(200).send(toCsv(CSV_COLUMNS, result.entries.map(toCsvRow)));
+    }
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Audit log error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,114 @@
+// api/cleanup-job.js
+// Status and control for resumable cleanup jobs started by /api/remove.
+// GET ?id=<jobId> reports progress (all jobs without an id); POST
+// { jobId, action } runs the next slice, or pauses or resumes the job.
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { requireRole } = require('../lib/admin-auth');
+const { getJob, listJobs, getJobProgress, runJobSlice, setJobPaused } = require('../lib/cleanup-jobs');
+const { appendAudit } = require('../lib/audit');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 60,
+};
+
+const CORS = {
+  methods: ['GET', 'POST'],
+};
+
+const ACTIONS = ['run', 'pause', 'resume'];
+
+async function handleStatus(req, res) {
+  const id = req.query && req.query.id;
+
+  if (!id) {
+    const jobs = await listJobs();
+    return res.status(200).json({
+      success: true,
+      jobs: jobs.map(getJobProgress).reverse()
+    });
+  }
+
+  const job = await getJob(id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found', message: `No cleanup job with id ${id}` });
+  }
+
+  return res.status(200).json({ success: true, job: getJobProgress(job) });
+}
+
+async function handleAction(req, res, session) {
+  const { jobId, action } = req.body || {};
+
+  if (!jobId || !ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      message: `Send a jobId and an action (${ACTIONS.join(', ')})`
+    });
+  }
+
+  let job;
+  if (action === 'run') {
+    const shopifyConfig = getShopifyConfig();
+    if (!shopifyConfig.shop || !shopifyConfig.token) {
+      console.error('Missing environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        details: 'Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN'
+      });
+    }
+    job = await runJobSlice(createShopifyClient(shopifyConfig), jobId);
+  } else {
+    job = await setJobPaused(jobId, action === 'pause');
+    console.log(`Cleanup job ${jobId} ${job.state}`);
+    await appendAudit(action === 'pause' ? 'job.paused' : 'job.resumed', session.username, { jobId });
+  }
+
+  return res.status(200).json({ success: true, job: getJobProgress(job) });
+}
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // Anyone can watch progress; running or pausing a job needs a cleaner
+    const session = requireRole(req, res, req.method === 'GET' ? 'viewer' : 'cleaner');
+    if (!session) {
+      return;
+    }
+
+    if (req.method === 'GET') {
+      return await handleStatus(req, res);
+    }
+    return await handleAction(req, res, session);
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Cleanup job error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
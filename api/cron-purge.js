@@ -0,0 +1,67 @@
+// api/cron-purge.js
+// Vercel Cron target (see `crons` in vercel.json): purges CP_ uploads that are
+// past retention and not referenced by any open or recent order.
+// Vercel sends `Authorization: Bearer <CRON_SECRET>` with every cron request.
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { safeEqual } = require('../lib/signed-token');
+const { runPurge } = require('../lib/purge');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  maxDuration: 60,
+};
+
+// Leaves time for the orphan scan within the 60s limit
+const PURGE_SLICE_MS = 30 * 1000;
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    console.error('CRON_SECRET not set in environment variables');
+    return res.status(500).json({
+      success: false,
+      error: 'Server configuration error',
+      message: 'Cron secret not configured. Please set CRON_SECRET in environment variables.'
+    });
+  }
+
+  if (!safeEqual(req.headers.authorization || '', `Bearer ${cronSecret}`)) {
+    console.warn('Cron purge request with invalid authorization');
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    if (!shopifyConfig.shop || !shopifyConfig.token) {
+      console.error('Missing environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        details: 'Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN'
+      });
+    }
+
+    const run = await runPurge(createShopifyClient(shopifyConfig), { budgetMs: PURGE_SLICE_MS });
+    return res.status(200).json({ success: true, run });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Cron purge error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Purge failed',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
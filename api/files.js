@@ -0,0 +1,220 @@
+// api/files.js
+// Admin file browser for CP_ uploads.
+// GET lists one page of uploads with search, sorting and cursor pagination
+// (viewer); POST { action: 'quarantine' | 'delete', fileId } removes a single
+// upload (cleaner for the trash, admin to delete for good).
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { requireRole, hasRole } = require('../lib/admin-auth');
+const { listFilesPage, previewFile } = require('../lib/cleanup');
+const { escapeSearchValue } = require('../lib/file-filters');
+const { UPLOAD_PREFIX, getFileAlts } = require('../lib/shopify-files');
+const { parseTrashAlt } = require('../lib/quarantine');
+const { getUploadRecords } = require('../lib/manifest');
+const { createJob, runJobSlice, getJobProgress } = require('../lib/cleanup-jobs');
+const { appendAudit } = require('../lib/audit');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 30,
+};
+
+const CORS = {
+  methods: ['GET', 'POST'],
+};
+
+// ?sort= -> Shopify FileSortKeys
+const SORT_KEYS = {
+  created: 'CREATED_AT',
+  updated: 'UPDATED_AT',
+  filename: 'FILENAME',
+  size: 'ORIGINAL_UPLOAD_SIZE',
+};
+
+// Shopify fileStatus values
+const FILE_STATUSES = ['UPLOADED', 'PROCESSING', 'READY', 'FAILED'];
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// A single file fits in one slice; anything left continues as a cleanup job
+const REMOVE_SLICE_MS = 20 * 1000;
+
+function invalid(res, message) {
+  return res.status(400).json({ success: false, error: 'Invalid request', message });
+}
+
+// Search string for the uploads: everything with a CP_ filename, narrowed to
+// filenames starting with CP_<q> and to one processing status
+function buildQuery({ q, status }) {
+  const terms = [`filename:${escapeSearchValue(`${UPLOAD_PREFIX}${q || ''}`)}*`];
+  if (status) terms.push(`status:${status}`);
+  return terms.join(' AND ');
+}
+
+// A CP_ upload, possibly in the trash, and not some other store file
+function isUploadAlt(alt) {
+  const trash = parseTrashAlt(alt);
+  return (trash ? trash.originalAlt : alt || '').startsWith(UPLOAD_PREFIX);
+}
+
+async function handleList(client, query, res) {
+  const sort = query.sort || 'created';
+  const order = query.order || (sort === 'filename' ? 'asc' : 'desc');
+  const status = query.status ? String(query.status).toUpperCase() : null;
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  if (!SORT_KEYS[sort]) {
+    return invalid(res, `sort must be one of ${Object.keys(SORT_KEYS).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return invalid(res, 'order must be asc or desc');
+  }
+  if (status && !FILE_STATUSES.includes(status)) {
+    return invalid(res, `status must be one of ${FILE_STATUSES.join(', ')}`);
+  }
+
+  const searchQuery = buildQuery({ q: query.q ? String(query.q).trim() : '', status });
+  const page = await listFilesPage(client, {
+    query: searchQuery,
+    sortKey: SORT_KEYS[sort],
+    reverse: order === 'desc',
+    ...(query.before ? { last: limit, before: query.before } : { first: limit, after: query.after }),
+  });
+
+  // The manifest knows which paid order claimed each upload
+  const records = await getUploadRecords(page.files.map(file => file.id));
+
+  const files = page.files.map(file => {
+    const record = records.get(file.id);
+    const trash = parseTrashAlt(file.alt);
+    return {
+      ...previewFile(file),
+      filename: file.filename,
+      mediaType: file.mediaType,
+      status: file.status,
+      quarantined: Boolean(trash),
+      originalFilename: record ? record.originalFilename : null,
+      order: record && record.status === 'claimed'
+        ? { id: record.orderId, name: record.orderName, claimedAt: record.claimedAt }
+        : null,
+    };
+  });
+
+  return res.status(200).json({
+    success: true,
+    query: searchQuery,
+    sort,
+    order,
+    files,
+    pageInfo: page.pageInfo,
+  });
+}
+
+async function handleRemove(client, body, res, session) {
+  const { action, fileId } = body;
+
+  if (!['quarantine', 'delete'].includes(action) || !fileId) {
+    return invalid(res, 'Send a fileId and an action (quarantine or delete)');
+  }
+  // Cleaners can move files to the trash, deleting for good needs an admin
+  if (action === 'delete' && !hasRole(session, 'admin')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Permanently deleting files needs the admin role. Move them to the trash instead.'
+    });
+  }
+
+  const alts = await getFileAlts(client, [fileId]);
+  if (!alts.has(fileId)) {
+    return res.status(404).json({ success: false, error: 'File not found', message: `No file with id ${fileId}` });
+  }
+  if (!isUploadAlt(alts.get(fileId))) {
+    return invalid(res, 'Only customer uploads (CP_ files) can be removed here');
+  }
+
+  const job = await createJob({
+    fileIds: [fileId],
+    action,
+    mode: 'single',
+    description: `file ${alts.get(fileId)}`,
+    createdBy: session.username,
+  });
+  await appendAudit('removal.requested', session.username, {
+    jobId: job.id,
+    action,
+    mode: job.mode,
+    description: job.description,
+    matchedIds: [fileId],
+    fileIds: [fileId],
+  });
+
+  const progress = getJobProgress(await runJobSlice(client, job.id, { budgetMs: REMOVE_SLICE_MS }));
+  const removed = action === 'quarantine' ? progress.quarantined : progress.deleted;
+
+  return res.status(200).json({
+    success: true,
+    message: removed
+      ? (action === 'quarantine' ? 'Moved the file to the trash' : 'Deleted the file')
+      : `The file was not ${action === 'quarantine' ? 'moved to the trash (it may already be there)' : 'deleted'}`,
+    filesRemoved: removed,
+    jobId: job.id,
+    job: progress
+  });
+}
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    if (!shopifyConfig.shop || !shopifyConfig.token) {
+      console.error('Missing environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        details: 'Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN'
+      });
+    }
+
+    // Browsing is read-only; handleRemove checks the role for its action
+    const session = requireRole(req, res, req.method === 'GET' ? 'viewer' : 'cleaner');
+    if (!session) {
+      return;
+    }
+
+    const client = createShopifyClient(shopifyConfig);
+
+    if (req.method === 'GET') {
+      return await handleList(client, req.query || {}, res);
+    }
+    return await handleRemove(client, req.body || {}, res, session);
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Files error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,214 @@
+// api/order-photos.js
+// ZIP export of order photos for the print shop (viewer role).
+// GET ?from=1001&to=1050 (order numbers) and/or ?status=unfulfilled|partial|fulfilled|any
+// streams a ZIP with one file per Custom Photo, named <order number>-<line item>,
+// plus manifest.csv with the Size, Description and crop of every line item.
+
+const path = require('path');
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { requireRole } = require('../lib/admin-auth');
+const { listOrderPhotos } = require('../lib/orders');
+const { isShopifyCdnUrl } = require('../lib/shopify-files');
+const { createZipWriter } = require('../lib/zip');
+const { toCsv } = require('../lib/csv');
+const { appendAudit } = require('../lib/audit');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  maxDuration: 300,
+};
+
+const CORS = {
+  methods: ['GET'],
+};
+
+const EXPORT_MAX_ORDERS = parseInt(process.env.EXPORT_MAX_ORDERS, 10) || 250;
+const EXPORT_MAX_PHOTOS = parseInt(process.env.EXPORT_MAX_PHOTOS, 10) || 500;
+// Stop downloading in time to close the ZIP within maxDuration; photos not
+// reached are listed as skipped in the manifest
+const EXPORT_BUDGET_MS = 270 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// ?status= -> Shopify orders search
+const STATUS_QUERIES = {
+  unfulfilled: 'fulfillment_status:unshipped',
+  partial: 'fulfillment_status:partial',
+  fulfilled: 'fulfillment_status:shipped',
+  any: null,
+};
+
+const MANIFEST_COLUMNS = [
+  'order', 'order_number', 'created_at', 'fulfillment_status', 'line_item', 'photo',
+  'product', 'quantity', 'size', 'description', 'crop', 'original_filename', 'zip_file', 'photo_url', 'status',
+];
+
+function invalid(res, message) {
+  return res.status(400).json({ success: false, error: 'Invalid request', message });
+}
+
+function parseOrderNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/^#/, ''));
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+// "1001-01.jpg", "1001-01-2.jpg" for a second photo on the same line item
+function zipName(photo) {
+  const ext = path.extname(new URL(photo.url).pathname).toLowerCase();
+  const line = String(photo.lineItem).padStart(2, '0');
+  const suffix = photo.photo > 1 ? `-${photo.photo}` : '';
+  return `${photo.orderNumber}-${line}${suffix}${/^\.[a-z0-9]{1,5}$/.test(ext) ? ext : '.jpg'}`;
+}
+
+// Streams one photo into the ZIP. Resolves to the manifest status.
+async function addPhoto(zip, photo, name) {
+  if (!isShopifyCdnUrl(photo.url)) {
+    return 'skipped: not a Shopify CDN URL';
+  }
+
+  let response;
+  try {
+    response = await fetch(photo.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  } catch (err) {
+    return `failed: ${err.message}`;
+  }
+  if (!response.ok || !response.body) {
+    return `failed: download returned ${response.status}`;
+  }
+
+  try {
+    await zip.addFile(name, response.body, { date: new Date(photo.createdAt) });
+    return 'ok';
+  } catch (err) {
+    // The entry is closed with the bytes received so far
+    return `incomplete: ${err.message}`;
+  }
+}
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    if (!shopifyConfig.shop || !shopifyConfig.token) {
+      console.error('Missing environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        details: 'Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN'
+      });
+    }
+
+    const session = requireRole(req, res, 'viewer');
+    if (!session) {
+      return;
+    }
+
+    const query = req.query || {};
+    const fromNumber = parseOrderNumber(query.from);
+    const toNumber = parseOrderNumber(query.to);
+    const status = query.status || null;
+
+    if (Number.isNaN(fromNumber) || Number.isNaN(toNumber)) {
+      return invalid(res, 'from and to must be order numbers, e.g. 1001');
+    }
+    if (fromNumber !== null && toNumber !== null && fromNumber > toNumber) {
+      return invalid(res, 'from must not be greater than to');
+    }
+    if (status !== null && !(status in STATUS_QUERIES)) {
+      return invalid(res, `status must be one of ${Object.keys(STATUS_QUERIES).join(', ')}`);
+    }
+    if (fromNumber === null && toNumber === null && status === null) {
+      return invalid(res, 'Send an order range (from, to) or a fulfillment status');
+    }
+
+    const deadline = Date.now() + EXPORT_BUDGET_MS;
+    const client = createShopifyClient(shopifyConfig);
+    const { photos, orderCount, truncated } = await listOrderPhotos(client, {
+      query: status ? STATUS_QUERIES[status] : null,
+      fromNumber,
+      toNumber,
+      maxOrders: EXPORT_MAX_ORDERS,
+    });
+
+    if (truncated || photos.length > EXPORT_MAX_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Export too large',
+        message: `An export can hold at most ${EXPORT_MAX_ORDERS} orders and ${EXPORT_MAX_PHOTOS} photos. Narrow the order range.`
+      });
+    }
+    if (photos.length === 0) {
+      return res.status(404).json({ success: false, error: 'No photos found', message: `${orderCount} orders matched, none with a Custom Photo` });
+    }
+
+    const label = [fromNumber || '', toNumber || '', status || ''].filter(Boolean).join('-');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="order-photos-${label}.zip"`);
+    res.status(200);
+
+    // From here on the response is streaming, so errors can only end it
+    const zip = createZipWriter(res);
+    const names = new Set();
+    const rows = [];
+    let exported = 0;
+
+    for (const photo of photos) {
+      let name = zipName(photo);
+      while (names.has(name)) name = `_${name}`;
+      names.add(name);
+
+      const result = Date.now() < deadline ? await addPhoto(zip, photo, name) : 'skipped: time limit';
+      if (result === 'ok') exported++;
+      else console.warn(`Export: ${photo.orderName} line ${photo.lineItem}: ${result}`);
+
+      rows.push([
+        photo.orderName, photo.orderNumber, photo.createdAt, photo.fulfillmentStatus, photo.lineItem, photo.photo,
+        photo.title, photo.quantity, photo.size, photo.description, photo.crop, photo.filename,
+        result === 'ok' || result.startsWith('incomplete') ? name : '', photo.url, result,
+      ]);
+    }
+
+    await zip.addFile('manifest.csv', Buffer.from(toCsv(MANIFEST_COLUMNS, rows), 'utf8'));
+    await zip.finish();
+    res.end();
+
+    console.log(`${session.username} exported ${exported} of ${photos.length} photos from ${orderCount} orders`);
+    await appendAudit('orders.exported', session.username, {
+      from: fromNumber,
+      to: toNumber,
+      status,
+      orders: Array.from(new Set(photos.map(photo => photo.orderName))),
+      photos: photos.length,
+      exported,
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Order photo export failed while streaming:', error);
+      res.end();
+      return;
+    }
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Order photo export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,48 @@
+// api/orders-paid.js
+// Shopify "Order payment" webhook: marks the uploads referenced by the order's
+// Custom Photo line item properties as claimed in the upload manifest
+
+const { sendApiError } = require('../lib/errors');
+const { verifyShopifyWebhook } = require('../lib/webhooks');
+const { claimUploads } = require('../lib/manifest');
+const { getOrderPhotoUrls } = require('../lib/orders');
+
+const config = {
+  api: {
+    // The HMAC is computed over the exact raw body
+    bodyParser: false,
+  },
+  maxDuration: 10,
+};
+
+async function handler(req, res) {
+  // Called by Shopify, not the browser, so no CORS headers
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { topic, payload: order } = await verifyShopifyWebhook(req);
+    const urls = getOrderPhotoUrls(order);
+
+    console.log('Order paid webhook:', { topic, orderId: order.id, orderName: order.name, photos: urls.length });
+
+    const { claimed, unknown } = await claimUploads(urls, { orderId: order.id, orderName: order.name });
+
+    if (unknown.length) {
+      console.warn('Order references photos missing from the manifest:', { orderName: order.name, unknown });
+    }
+
+    return res.status(200).json({ success: true, claimed: claimed.map(r => r.fileId), unknown });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    // A 5xx makes Shopify retry the webhook later
+    console.error('Order paid webhook error:', error && error.stack ? error.stack : error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,75 @@
+// api/proxy-token.js
+// Shopify App Proxy target: issues short-lived upload tokens to the storefront.
+// The theme calls /apps/photo-upload?cart_token=... on the shop's own domain and
+// Shopify forwards it here with a `signature` we verify before issuing a token.
+
+const { applyCors } = require('../lib/cors');
+const { verifyProxySignature, issueUploadToken } = require('../lib/upload-token');
+
+const config = {
+  maxDuration: 10,
+};
+
+const CORS = {
+  methods: ['GET'],
+};
+
+async function handler(req, res) {
+  // Normally served through the shop's domain by Shopify, so same-origin
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (!process.env.SHOPIFY_API_SECRET) {
+      console.error('SHOPIFY_API_SECRET not set in environment variables');
+      return res.status(500).json({ success: false, error: 'Server configuration error', message: 'App proxy secret not configured. Please set SHOPIFY_API_SECRET in environment variables.' });
+    }
+
+    const query = req.query || {};
+
+    if (!verifyProxySignature(query)) {
+      console.warn('App proxy request with invalid or expired signature', { shop: query.shop });
+      return res.status(401).json({ success: false, error: 'Invalid proxy signature' });
+    }
+
+    const shop = query.shop;
+    if (process.env.SHOPIFY_SHOP && shop !== process.env.SHOPIFY_SHOP) {
+      console.warn('App proxy request for unexpected shop:', shop);
+      return res.status(403).json({ success: false, error: 'Unknown shop' });
+    }
+
+    // Bind the token to the logged-in customer (set by Shopify, so trusted)
+    // or else to the cart token the theme sent. The signature covers the cart
+    // token but the shopper chooses it, so a new one gets a new session: it
+    // keeps one shopper's uploads apart from another's, and is no defence
+    // against abuse (see LIMITS in lib/rate-limit.js)
+    let sessionId = null;
+    if (query.logged_in_customer_id) {
+      sessionId = `customer:${query.logged_in_customer_id}`;
+    } else if (query.cart_token) {
+      sessionId = `cart:${String(query.cart_token).slice(0, 128)}`;
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'Missing cart_token' });
+    }
+
+    const { token, expiresAt } = issueUploadToken({ shop, sessionId });
+    console.log('Issued upload token:', { shop, sessionId, expiresAt: new Date(expiresAt).toISOString() });
+
+    return res.status(200).json({ success: true, token, expiresAt });
+  } catch (error) {
+    console.error('Proxy token error:', error && error.stack ? error.stack : error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
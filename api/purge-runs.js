@@ -0,0 +1,51 @@
+// api/purge-runs.js
+// Summaries of the scheduled purge runs, newest first (viewer role)
+
+const { applyCors } = require('../lib/cors');
+const { requireRole } = require('../lib/admin-auth');
+const { listPurgeRuns } = require('../lib/purge');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  maxDuration: 10,
+};
+
+const CORS = {
+  methods: ['GET'],
+};
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (!requireRole(req, res, 'viewer')) {
+      return;
+    }
+
+    const limit = parseInt(req.query && req.query.limit, 10) || undefined;
+    const runs = await listPurgeRuns(limit);
+    return res.status(200).json({ success: true, runs });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Purge runs error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
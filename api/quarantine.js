@@ -0,0 +1,187 @@
+// api/quarantine.js
+// Trash for files removed with `quarantine: true`.
+// GET lists the quarantined files (viewer); POST { action: 'restore', fileIds }
+// puts files back (cleaner), POST { action: 'purge' } deletes the ones past the
+// grace period (admin).
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { requireRole } = require('../lib/admin-auth');
+const { previewFile } = require('../lib/cleanup');
+const { QUARANTINE_GRACE_DAYS, restoreFiles, listQuarantined } = require('../lib/quarantine');
+const { createJob, runJobSlice, getJobProgress } = require('../lib/cleanup-jobs');
+const { appendAudit } = require('../lib/audit');
+const { sendApiError } = require('../lib/errors');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 60,
+};
+
+const CORS = {
+  methods: ['GET', 'POST'],
+};
+
+// Role needed for each request
+const ROLE_BY_ACTION = {
+  list: 'viewer',
+  restore: 'cleaner',
+  purge: 'admin',
+};
+
+// Restores run inline, so keep them to what fits in one request
+const MAX_RESTORE_PER_REQUEST = 250;
+// fileUpdate batch size, matching fileDelete
+const RESTORE_BATCH_SIZE = 10;
+// Time spent purging in this request; the rest continues as a cleanup job
+const PURGE_SLICE_MS = 40 * 1000;
+
+async function handleList(client, res) {
+  const files = await listQuarantined(client);
+  return res.status(200).json({
+    success: true,
+    graceDays: QUARANTINE_GRACE_DAYS,
+    total: files.length,
+    expired: files.filter(file => file.expired).length,
+    files: files.map(file => ({
+      ...previewFile(file),
+      originalAlt: file.originalAlt,
+      quarantinedAt: file.quarantinedAt,
+      purgeAfter: file.purgeAfter,
+      expired: file.expired
+    }))
+  });
+}
+
+async function handleRestore(client, body, res, session) {
+  const fileIds = Array.from(new Set(Array.isArray(body.fileIds) ? body.fileIds : []));
+
+  if (fileIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'No files selected' });
+  }
+  if (fileIds.length > MAX_RESTORE_PER_REQUEST) {
+    return res.status(400).json({
+      success: false,
+      error: 'Too many files',
+      message: `At most ${MAX_RESTORE_PER_REQUEST} files can be restored per request`
+    });
+  }
+
+  const restored = [];
+  const skipped = [];
+  for (let i = 0; i < fileIds.length; i += RESTORE_BATCH_SIZE) {
+    const result = await restoreFiles(client, fileIds.slice(i, i + RESTORE_BATCH_SIZE));
+    restored.push(...result.restored);
+    skipped.push(...result.skipped);
+  }
+
+  console.log(`${session.username} restored ${restored.length} quarantined files, ${skipped.length} skipped`);
+  await appendAudit('quarantine.restored', session.username, { fileIds: restored, skipped });
+  return res.status(200).json({
+    success: true,
+    message: `Restored ${restored.length} of ${fileIds.length} files`,
+    restored,
+    skipped
+  });
+}
+
+async function handlePurge(client, res, session) {
+  const expired = (await listQuarantined(client)).filter(file => file.expired);
+
+  if (expired.length === 0) {
+    return res.status(200).json({ success: true, message: 'No quarantined files are past the grace period', filesRemoved: 0 });
+  }
+
+  const job = await createJob({
+    fileIds: expired.map(file => file.id),
+    action: 'purge_quarantine',
+    mode: 'quarantine',
+    description: `quarantined files older than ${QUARANTINE_GRACE_DAYS} days`,
+    createdBy: session.username,
+  });
+  await appendAudit('removal.requested', session.username, {
+    jobId: job.id,
+    action: job.action,
+    mode: job.mode,
+    description: job.description,
+    matchedIds: job.fileIds,
+    fileIds: job.fileIds,
+  });
+  const progress = getJobProgress(await runJobSlice(client, job.id, { budgetMs: PURGE_SLICE_MS }));
+
+  return res.status(200).json({
+    success: true,
+    message: progress.state === 'done'
+      ? `Permanently deleted ${progress.deleted} of ${expired.length} expired files`
+      : `${progress.deleted} of ${expired.length} expired files deleted so far, the rest continues as job ${job.id}`,
+    filesRemoved: progress.deleted,
+    jobId: job.id,
+    job: progress
+  });
+}
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    if (!shopifyConfig.shop || !shopifyConfig.token) {
+      console.error('Missing environment variables');
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error',
+        details: 'Missing SHOPIFY_SHOP or SHOPIFY_ADMIN_TOKEN'
+      });
+    }
+
+    const body = req.body || {};
+    const action = req.method === 'GET' ? 'list' : body.action;
+
+    if (!ROLE_BY_ACTION[action] || (req.method === 'POST' && action === 'list')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'action must be restore or purge'
+      });
+    }
+
+    const session = requireRole(req, res, ROLE_BY_ACTION[action]);
+    if (!session) {
+      return;
+    }
+
+    const client = createShopifyClient(shopifyConfig);
+
+    if (action === 'list') {
+      return await handleList(client, res);
+    }
+    if (action === 'restore') {
+      return await handleRestore(client, body, res, session);
+    }
+    return await handlePurge(client, res, session);
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Quarantine error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -1,5 +1,17 @@
 // api/remove.js
-// API endpoint to remove images with specific filenames from Shopify
+// API endpoint to remove images matching filters from Shopify.
+// Two phases: a dryRun request previews the matches and returns a signed
+// confirmToken, and files are only deleted when that token is sent back.
+
+const { createShopifyClient, getShopifyConfig, ShopifyError } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { listFiles, findOrphans, previewFile } = require('../lib/cleanup');
+const { createJob, runJobSlice, getJobProgress } = require('../lib/cleanup-jobs');
+const { appendAudit } = require('../lib/audit');
+const { requireRole, hasRole } = require('../lib/admin-auth');
+const { signToken, verifyToken } = require('../lib/signed-token');
+const { sendApiError } = require('../lib/errors');
+const { parseFileFilters, buildFilesQuery, matchesFileFilters, describeFileFilters } = require('../lib/file-filters');
 
 const config = {
   api: {
@@ -8,21 +20,184 @@ const config = {
   maxDuration: 60,
 };
 
-async function handler(req, res) {
-  // CORS headers
-  const corsHeaders = {
-    'Access-Control-Allow-Credentials': 'true',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,OPTIONS,PATCH,DELETE,POST,PUT',
-    'Access-Control-Allow-Headers': 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization',
-  };
-
-  Object.keys(corsHeaders).forEach(key => {
-    res.setHeader(key, corsHeaders[key]);
+const CORS = {
+  methods: ['POST'],
+};
+
+// Additional security: Limit max deletions per request to prevent accidents
+const MAX_DELETE_PER_REQUEST = 1000;
+
+// Whole number of days, or undefined when invalid
+function parseDays(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : undefined;
+}
+
+// How long a preview can be confirmed
+const CONFIRM_TTL_MS = 15 * 60 * 1000;
+// Time spent deleting in the confirm request itself; scanning for orphans
+// may already have used part of the 60s limit
+const JOB_SLICE_MS = 25 * 1000;
+
+// requireRole has already rejected the request when this is not set
+function getConfirmSecret() {
+  return process.env.ADMIN_TOKEN_SECRET;
+}
+
+// Signs the exact file IDs shown in a preview. `options` is kept so an
+// orphan cleanup can be re-checked with the same settings on confirm.
+function issueConfirmToken(mode, files, description, options = {}) {
+  const expiresAt = Date.now() + CONFIRM_TTL_MS;
+  const confirmToken = signToken({ typ: 'confirm', mode, description, ids: files.map(file => file.id), options, exp: expiresAt }, getConfirmSecret());
+  return { confirmToken, expiresAt };
+}
+
+// Retention-aware cleanup preview: CP_ uploads older than minAgeDays that no
+// unfulfilled or recent order references, oldest first, plus the kept files
+async function previewOrphans(client, body, res) {
+  const options = {};
+  if (body.minAgeDays !== undefined) options.minAgeDays = parseDays(body.minAgeDays);
+  if (body.recentOrderDays !== undefined) options.recentOrderDays = parseDays(body.recentOrderDays);
+
+  if (Object.values(options).some(days => days === undefined)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid days',
+      message: 'minAgeDays and recentOrderDays must be whole numbers of days'
+    });
+  }
+
+  let scan;
+  try {
+    scan = await findOrphans(client, options);
+  } catch (err) {
+    if (!(err instanceof ShopifyError)) throw err;
+    console.error('Orphan scan failed:', err.type, err.details);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to scan files and orders',
+      details: err.details
+    });
+  }
+
+  const files = scan.orphans.slice(0, MAX_DELETE_PER_REQUEST);
+
+  return res.status(200).json({
+    success: true,
+    dryRun: true,
+    message: `Found ${scan.orphans.length} orphaned uploads older than ${scan.minAgeDays} days, kept ${scan.kept.length}`,
+    totalMatched: files.length,
+    totalOrphans: scan.orphans.length,
+    remaining: scan.orphans.length - files.length,
+    minAgeDays: scan.minAgeDays,
+    recentOrderDays: scan.recentOrderDays,
+    files: files.map(previewFile),
+    kept: scan.kept.map(file => ({
+      id: file.id,
+      alt: file.alt,
+      createdAt: file.createdAt,
+      reason: file.reason,
+      order: file.order
+    })),
+    ...(files.length ? issueConfirmToken('orphans', files, `orphans older than ${scan.minAgeDays} days`, { minAgeDays: scan.minAgeDays, recentOrderDays: scan.recentOrderDays }) : {})
+  });
+}
+
+// Second phase: deletes (or with `quarantine`, moves to the trash) the selected
+// fileIds, which must all come from the preview the confirmToken was issued
+// for (all previewed files if omitted)
+async function confirmRemoval(client, body, res, session) {
+  // Cleaners can move files to the trash, deleting for good needs an admin
+  const action = body.quarantine ? 'quarantine' : 'delete';
+  if (action === 'delete' && !hasRole(session, 'admin')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Permanently deleting files needs the admin role. Move them to the trash instead.'
+    });
+  }
+
+  const preview = verifyToken(body.confirmToken, getConfirmSecret());
+  if (!preview || preview.typ !== 'confirm') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid confirmation token',
+      message: 'Run the preview again before deleting'
+    });
+  }
+
+  if (Date.now() > preview.exp) {
+    return res.status(400).json({
+      success: false,
+      error: 'Confirmation token expired',
+      message: 'The preview is older than 15 minutes. Run it again before deleting.'
+    });
+  }
+
+  const previewed = new Set(preview.ids);
+  const selected = Array.from(new Set(Array.isArray(body.fileIds) ? body.fileIds : preview.ids));
+
+  if (selected.length === 0) {
+    return res.status(400).json({ success: false, error: 'No files selected' });
+  }
+
+  const notPreviewed = selected.filter(id => !previewed.has(id));
+  if (notPreviewed.length) {
+    console.warn('Removal confirm with files outside the preview:', notPreviewed);
+    return res.status(400).json({
+      success: false,
+      error: 'Files not in preview',
+      message: 'Only files returned by the preview can be deleted',
+      fileIds: notPreviewed
+    });
+  }
+
+  let fileIds = selected;
+  let skipped = [];
+
+  // Orders may have come in since the preview, so re-check orphans first
+  if (preview.mode === 'orphans') {
+    const scan = await findOrphans(client, preview.options);
+    const orphanIds = new Set(scan.orphans.map(file => file.id));
+    skipped = scan.kept
+      .filter(file => selected.includes(file.id))
+      .map(file => ({ id: file.id, alt: file.alt, reason: file.reason, order: file.order }));
+    fileIds = selected.filter(id => orphanIds.has(id));
+  }
+
+  console.log(`${session.username} confirmed ${action} of ${fileIds.length} files (${preview.mode}), ${skipped.length} skipped`);
+
+  // Runs as a job so it can continue past this request's time limit. Quarantine
+  // renames the files instead of deleting them, see lib/quarantine.js
+  const job = await createJob({ fileIds, action, mode: preview.mode, description: preview.description, skipped, createdBy: session.username });
+  await appendAudit('removal.requested', session.username, {
+    jobId: job.id,
+    action,
+    mode: preview.mode,
+    description: preview.description,
+    matchedIds: preview.ids,
+    fileIds,
+    skipped,
   });
+  const progress = getJobProgress(await runJobSlice(client, job.id, { budgetMs: JOB_SLICE_MS }));
+  const processed = action === 'quarantine' ? progress.quarantined : progress.deleted;
+  const verb = action === 'quarantine' ? 'quarantined' : 'removed';
+
+  return res.status(200).json({
+    success: true,
+    message: progress.state === 'done'
+      ? `Successfully ${verb} ${processed} of ${selected.length} selected files`
+      : `${processed} of ${selected.length} selected files ${verb} so far, the rest continues as job ${job.id}`,
+    filesRemoved: processed,
+    totalSelected: selected.length,
+    jobId: job.id,
+    job: progress
+  });
+}
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
     return;
   }
 
@@ -31,8 +206,8 @@ async function handler(req, res) {
   }
 
   try {
-    const shop = process.env.SHOPIFY_SHOP;
-    const token = process.env.SHOPIFY_ADMIN_TOKEN;
+    const shopifyConfig = getShopifyConfig();
+    const { shop, token } = shopifyConfig;
 
     if (!shop || !token) {
       console.error('Missing environment variables');
@@ -43,236 +218,92 @@ async function handler(req, res) {
       });
     }
 
-    const { searchPattern, adminPassword } = req.body || {};
+    const { mode, dryRun, confirmToken } = req.body || {};
 
-    // Admin password check - REQUIRED
-    const requiredPassword = process.env.ADMIN_PASSWORD;
-    
-    if (!requiredPassword) {
-      console.error('ADMIN_PASSWORD not set in environment variables');
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Server configuration error',
-        message: 'Admin password not configured. Please set ADMIN_PASSWORD in environment variables.' 
-      });
-    }
-    
-    if (!adminPassword) {
-      console.warn('Removal attempt without password');
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Unauthorized',
-        message: 'Admin password is required' 
-      });
-    }
-    
-    if (adminPassword !== requiredPassword) {
-      console.warn('Unauthorized removal attempt with wrong password');
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Unauthorized',
-        message: 'Invalid admin password' 
-      });
+    // Previews are read-only; confirmRemoval checks the role for its action
+    const session = requireRole(req, res, 'viewer');
+    if (!session) {
+      return;
     }
 
-    if (!searchPattern) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing searchPattern',
-        message: 'Please provide a searchPattern to search for files to remove' 
-      });
-    }
-    
-    // Additional security: Prevent accidental mass deletion
-    if (searchPattern.length < 2) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Search pattern too short',
-        message: 'Search pattern must be at least 2 characters to prevent accidental mass deletion' 
-      });
-    }
+    const client = createShopifyClient(shopifyConfig);
 
-    console.log(`Starting removal process for pattern: ${searchPattern}`);
-
-    // Step 1: Query all files
-    const filesQuery = `
-      query getFiles($query: String, $first: Int!, $after: String) {
-        files(query: $query, first: $first, after: $after) {
-          edges {
-            node {
-              id
-              alt
-              ... on MediaImage {
-                id
-                alt
-                image {
-                  url
-                }
-              }
-              ... on GenericFile {
-                id
-                alt
-                url
-              }
-            }
-            cursor
-          }
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-        }
+    // Phase 2: delete the previewed files the operator kept selected
+    if (confirmToken) {
+      if (!hasRole(session, 'cleaner')) {
+        return res.status(403).json({ success: false, error: 'Forbidden', message: 'Removing files needs the cleaner role' });
       }
-    `;
-
-    let allFiles = [];
-    let hasNextPage = true;
-    let cursor = null;
-    const pageSize = 50;
-
-    // Fetch all files (paginated)
-    while (hasNextPage) {
-      const variables = {
-        query: null, // We'll filter client-side for more flexibility
-        first: pageSize,
-        after: cursor
-      };
-
-      const response = await fetch(`https://${shop}/admin/api/2024-10/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token,
-        },
-        body: JSON.stringify({ query: filesQuery, variables }),
-      });
+      return await confirmRemoval(client, req.body, res, session);
+    }
 
-      const data = await response.json();
+    if (!dryRun) {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirmation required',
+        message: 'Send the request with dryRun: true first, then confirm with the returned confirmToken'
+      });
+    }
 
-      if (data.errors) {
-        console.error('GraphQL errors:', data.errors);
-        return res.status(500).json({ 
-          success: false, 
-          error: 'Failed to fetch files',
-          details: data.errors 
-        });
-      }
+    // Phase 1: preview
+    if (mode === 'orphans') {
+      return await previewOrphans(client, req.body, res);
+    }
 
-      const edges = data.data?.files?.edges || [];
-      allFiles = allFiles.concat(edges);
+    // Throws ApiError(400) for invalid or missing filters
+    const filters = parseFileFilters(req.body);
+    const description = describeFileFilters(filters);
+    const query = buildFilesQuery(filters);
 
-      hasNextPage = data.data?.files?.pageInfo?.hasNextPage || false;
-      cursor = data.data?.files?.pageInfo?.endCursor || null;
+    console.log(`Previewing removal for filters: ${description}`, { query });
 
-      console.log(`Fetched ${edges.length} files, total: ${allFiles.length}, hasNextPage: ${hasNextPage}`);
+    // Step 1: Query the files Shopify's search narrows down to
+    let candidates;
+    try {
+      candidates = await listFiles(client, { query });
+    } catch (err) {
+      if (!(err instanceof ShopifyError)) throw err;
+      console.error('GraphQL errors:', err.type, err.details);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch files',
+        details: err.details 
+      });
     }
 
-    console.log(`Total files fetched: ${allFiles.length}`);
+    console.log(`Total files fetched: ${candidates.length}`);
 
-    // Step 2: Filter files by pattern (case-insensitive)
-    const pattern = searchPattern.toLowerCase();
-    const matchingFiles = allFiles.filter(edge => {
-      const alt = edge.node?.alt || '';
-      return alt.toLowerCase().includes(pattern);
-    });
+    // Step 2: Apply the full filters, including the parts search can't express
+    const matchingFiles = candidates.filter(file => matchesFileFilters(file, filters));
 
-    console.log(`Found ${matchingFiles.length} files matching pattern: ${searchPattern}`);
+    console.log(`Found ${matchingFiles.length} files matching: ${description}`);
 
-    if (matchingFiles.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: `No files found matching pattern: ${searchPattern}`,
-        filesRemoved: 0,
-        details: []
-      });
-    }
-    
     // Additional security: Limit max deletions per request to prevent accidents
-    const MAX_DELETE_PER_REQUEST = 1000;
     if (matchingFiles.length > MAX_DELETE_PER_REQUEST) {
       return res.status(400).json({
         success: false,
         error: 'Too many files',
-        message: `Found ${matchingFiles.length} files, but maximum ${MAX_DELETE_PER_REQUEST} files can be deleted per request. Please use a more specific search pattern.`,
+        message: `Found ${matchingFiles.length} files, but maximum ${MAX_DELETE_PER_REQUEST} files can be deleted per request. Please use more specific filters.`,
         totalMatched: matchingFiles.length
       });
     }
 
-    // Step 3: Delete matching files
-    const fileDeleteMutation = `
-      mutation fileDelete($fileIds: [ID!]!) {
-        fileDelete(fileIds: $fileIds) {
-          deletedFileIds
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const deletedFiles = [];
-    const errors = [];
-    
-    // Delete in batches of 10 (Shopify limit)
-    const batchSize = 10;
-    for (let i = 0; i < matchingFiles.length; i += batchSize) {
-      const batch = matchingFiles.slice(i, i + batchSize);
-      const fileIds = batch.map(edge => edge.node.id);
-
-      try {
-        const deleteResponse = await fetch(`https://${shop}/admin/api/2024-10/graphql.json`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': token,
-          },
-          body: JSON.stringify({ 
-            query: fileDeleteMutation, 
-            variables: { fileIds } 
-          }),
-        });
-
-        const deleteData = await deleteResponse.json();
-
-        if (deleteData.errors) {
-          console.error('Delete mutation errors:', deleteData.errors);
-          errors.push({ batch: i / batchSize + 1, error: deleteData.errors });
-        } else if (deleteData.data?.fileDelete?.userErrors?.length > 0) {
-          console.error('Delete user errors:', deleteData.data.fileDelete.userErrors);
-          errors.push({ batch: i / batchSize + 1, error: deleteData.data.fileDelete.userErrors });
-        } else {
-          const deleted = deleteData.data?.fileDelete?.deletedFileIds || [];
-          deletedFiles.push(...deleted);
-          console.log(`Batch ${i / batchSize + 1}: Deleted ${deleted.length} files`);
-        }
-      } catch (error) {
-        console.error(`Error deleting batch ${i / batchSize + 1}:`, error);
-        errors.push({ batch: i / batchSize + 1, error: error.message });
-      }
-
-      // Small delay between batches to avoid rate limiting
-      if (i + batchSize < matchingFiles.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
-
-    console.log(`Removal complete. Deleted ${deletedFiles.length} files, ${errors.length} errors`);
-
     return res.status(200).json({
       success: true,
-      message: `Successfully removed ${deletedFiles.length} files matching pattern: ${searchPattern}`,
-      filesRemoved: deletedFiles.length,
+      dryRun: true,
+      message: matchingFiles.length
+        ? `Found ${matchingFiles.length} files matching: ${description}`
+        : `No files found matching: ${description}`,
       totalMatched: matchingFiles.length,
-      details: matchingFiles.map(edge => ({
-        id: edge.node.id,
-        alt: edge.node.alt,
-        deleted: deletedFiles.includes(edge.node.id)
-      })),
-      errors: errors.length > 0 ? errors : undefined
+      filesScanned: candidates.length,
+      query,
+      files: matchingFiles.map(previewFile),
+      ...(matchingFiles.length ? issueConfirmToken('filter', matchingFiles, description) : {})
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
     console.error('Remove error:', error);
     return res.status(500).json({ 
       success: false, 
@@ -0,0 +1,95 @@
+// api/upload-crop.js
+// Step 3 of the theme block's direct upload: the photo is uploaded as soon as it
+// is selected, before the shopper has settled on a crop. At "Add to Cart" the
+// final crop and puzzle size are sent here to be validated, stored in the upload
+// manifest and rated for print quality.
+
+const { applyCors } = require('../lib/cors');
+const { ApiError, sendApiError } = require('../lib/errors');
+const { validateRemoteImage } = require('../lib/image-validation');
+const { ratePrintQuality } = require('../lib/print-quality');
+const { parseCrop } = require('../lib/crop');
+const { requireUploadToken } = require('../lib/upload-token');
+const { getUploadRecord, recordCrop } = require('../lib/manifest');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 10,
+};
+
+const CORS = {
+  methods: ['POST'],
+  allowHeaders: ['X-Upload-Token', 'X-Cart-Token', 'X-Customer-Id'],
+};
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Reject requests without a valid upload token from the App Proxy
+  const uploadToken = requireUploadToken(req, res);
+  if (!uploadToken) {
+    return;
+  }
+
+  try {
+    const { fileId, size, crop: requestedCrop } = req.body || {};
+
+    if (!fileId || typeof fileId !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing fileId' });
+    }
+
+    const record = await getUploadRecord(fileId);
+    if (!record) {
+      throw new ApiError(404, 'Upload not found', { code: 'UPLOAD_NOT_FOUND' });
+    }
+
+    // Only the shopper who uploaded the photo may crop it. A record without
+    // a session has no owner to check against, so nobody may.
+    const session = uploadToken.sid;
+    if (!record.session || record.session !== session) {
+      console.warn('Crop rejected for another session:', { fileId, session });
+      throw new ApiError(403, 'Upload belongs to another session', { code: 'UPLOAD_SESSION_MISMATCH' });
+    }
+
+    // A paid order's crop is what the print shop works from
+    if (record.status === 'claimed') {
+      throw new ApiError(409, 'Upload already ordered', { code: 'UPLOAD_CLAIMED' });
+    }
+
+    // Records from before dimensions were stored: read them from the file
+    let { width, height } = record;
+    if (!width || !height) {
+      const image = await validateRemoteImage(record.url);
+      ({ width, height } = image);
+    }
+
+    const crop = parseCrop(requestedCrop, { width, height, size });
+
+    // Only the cropped area is printed
+    const quality = crop
+      ? ratePrintQuality(crop.width, crop.height, size)
+      : ratePrintQuality(width, height, size);
+
+    await recordCrop(record, crop);
+
+    return res.status(200).json({ success: true, fileId, url: record.url, width, height, crop, quality });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Upload crop error:', error && error.stack ? error.stack : error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
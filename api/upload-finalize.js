@@ -0,0 +1,139 @@
+// api/upload-finalize.js
+// Step 2 of a direct-to-storage upload: once the browser has sent the file to the
+// staged target from /api/upload-init, creates the Shopify file and waits for its URL
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { applyCors } = require('../lib/cors');
+const { ApiError, sendApiError } = require('../lib/errors');
+const { prefixFilename, isStagedResourceUrl, createFileFromStaged, deleteFiles } = require('../lib/shopify-files');
+const { validateRemoteImage } = require('../lib/image-validation');
+const { ratePrintQuality } = require('../lib/print-quality');
+const { parseCrop } = require('../lib/crop');
+const { requireUploadToken } = require('../lib/upload-token');
+const { hashRemoteFile, recordUpload } = require('../lib/manifest');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 60,
+};
+
+// Large images take longer for Shopify to process than the 15s default
+const PROCESSING_TIMEOUT_MS = 45000;
+
+const CORS = {
+  methods: ['POST'],
+  allowHeaders: ['X-Upload-Token'],
+};
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Reject requests without a valid upload token from the App Proxy
+  const uploadToken = requireUploadToken(req, res);
+  if (!uploadToken) {
+    return;
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    const { shop, token } = shopifyConfig;
+
+    if (!shop || !token) {
+      console.error('Missing environment variables:', { hasShop: !!shop, hasToken: !!token });
+      return res.status(500).json({ success: false, error: 'Server configuration error - missing credentials', details: 'Environment variables not configured. Please set SHOPIFY_SHOP and SHOPIFY_ADMIN_TOKEN in Vercel dashboard.' });
+    }
+
+    const { filename, resourceUrl, size, crop: requestedCrop } = req.body || {};
+
+    if (!filename || !resourceUrl) {
+      return res.status(400).json({ success: false, error: 'Missing filename or resourceUrl' });
+    }
+
+    // Check the crop's shape now; it is matched to the image once that is stored
+    parseCrop(requestedCrop, { size });
+
+    // Only accept files that were uploaded to Shopify's staged storage
+    if (!isStagedResourceUrl(resourceUrl)) {
+      console.warn('Finalize rejected non-staged resourceUrl:', resourceUrl);
+      return res.status(400).json({ success: false, error: 'Invalid resourceUrl' });
+    }
+
+    const prefixedFilename = prefixFilename(filename);
+    console.log('Finalizing direct upload:', { prefixedFilename, resourceUrl, shop });
+
+    const client = createShopifyClient(shopifyConfig);
+    const result = await createFileFromStaged(client, {
+      alt: prefixedFilename,
+      resourceUrl,
+      maxWaitMs: PROCESSING_TIMEOUT_MS,
+    });
+
+    // The browser uploaded the bytes, so check the stored file itself and
+    // remove it again if it is not an acceptable image or the crop does not fit
+    let image;
+    let crop;
+    try {
+      image = await validateRemoteImage(result.url);
+      crop = parseCrop(requestedCrop, { width: image.width, height: image.height, size });
+    } catch (err) {
+      console.warn('Rejecting direct upload:', { fileId: result.fileId, reason: err.message });
+      try {
+        await deleteFiles(client, [result.fileId]);
+      } catch (deleteErr) {
+        console.error('Failed to delete rejected upload', result.fileId, deleteErr.details || deleteErr.message);
+      }
+      if (err instanceof ApiError) throw err;
+      throw new ApiError(502, 'Could not verify image', { details: err.message });
+    }
+
+    // Only the cropped area is printed
+    const quality = crop
+      ? ratePrintQuality(crop.width, crop.height, size)
+      : ratePrintQuality(image.width, image.height, size);
+
+    // Record the upload so it can be matched to a cart and order later. The
+    // bytes never passed through here, so hash the stored copy.
+    let contentHash = null;
+    let fileSize = null;
+    try {
+      const stored = await hashRemoteFile(result.url);
+      contentHash = stored.hash;
+      fileSize = stored.size;
+    } catch (err) {
+      console.warn('Could not hash uploaded file:', result.fileId, err.message);
+    }
+    await recordUpload(req, {
+      fileId: result.fileId,
+      url: result.url,
+      filename: prefixedFilename,
+      originalFilename: filename,
+      contentHash,
+      size: fileSize,
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      crop,
+      session: uploadToken.sid,
+    });
+
+    return res.status(200).json({ success: true, url: result.url, fileId: result.fileId, width: image.width, height: image.height, crop, quality, message: result.message });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Upload finalize error:', error && error.stack ? error.stack : error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -0,0 +1,111 @@
+// api/upload-init.js
+// Step 1 of a direct-to-storage upload: returns a Shopify staged upload target
+// that the browser POSTs the file to, so the image bytes never pass through Vercel
+
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { sendApiError } = require('../lib/errors');
+const { applyCors } = require('../lib/cors');
+const { enforceRateLimit, RATE_LIMIT_HEADERS } = require('../lib/rate-limit');
+const { requireUploadToken } = require('../lib/upload-token');
+const { prefixFilename, createStagedTarget } = require('../lib/shopify-files');
+const { ALLOWED_MIME_TYPES } = require('../lib/image-validation');
+
+const config = {
+  api: {
+    bodyParser: true,
+  },
+  maxDuration: 10,
+};
+
+// Shopify Files accepts images up to 20MB
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_DIRECT_UPLOAD_MB, 10) || 20;
+
+const CORS = {
+  methods: ['POST'],
+  allowHeaders: ['X-Cart-Token', 'X-Customer-Id', 'X-Upload-Token'],
+  exposeHeaders: RATE_LIMIT_HEADERS,
+};
+
+async function handler(req, res) {
+  // CORS headers - MUST be set for all responses including errors
+  if (applyCors(req, res, CORS)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Reject requests without a valid upload token from the App Proxy
+  const uploadToken = requireUploadToken(req, res);
+  if (!uploadToken) {
+    return;
+  }
+
+  // The staged target is what costs us storage, so it counts as the upload.
+  // Rate limit by the token's verified session rather than client headers.
+  if (!(await enforceRateLimit(req, res, { shop: uploadToken.shop, session: uploadToken.sid }))) {
+    return;
+  }
+
+  try {
+    const shopifyConfig = getShopifyConfig();
+    const { shop, token } = shopifyConfig;
+
+    if (!shop || !token) {
+      console.error('Missing environment variables:', { hasShop: !!shop, hasToken: !!token });
+      return res.status(500).json({ success: false, error: 'Server configuration error - missing credentials', details: 'Environment variables not configured. Please set SHOPIFY_SHOP and SHOPIFY_ADMIN_TOKEN in Vercel dashboard.' });
+    }
+
+    const { filename, mimeType, fileSize } = req.body || {};
+
+    if (!filename || !mimeType || !fileSize) {
+      return res.status(400).json({ success: false, error: 'Missing filename, mimeType or fileSize' });
+    }
+
+    // The real format is checked from the stored bytes in /api/upload-finalize
+    if (typeof mimeType !== 'string' || !ALLOWED_MIME_TYPES.includes(mimeType.toLowerCase())) {
+      return res.status(415).json({ success: false, error: 'Unsupported image type', code: 'UNSUPPORTED_IMAGE_TYPE', message: 'Please upload a JPEG, PNG, WebP or HEIC photo.' });
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid fileSize' });
+    }
+
+    if (size > MAX_UPLOAD_MB * 1024 * 1024) {
+      return res.status(413).json({ success: false, error: 'File too large', message: `Images must be smaller than ${MAX_UPLOAD_MB} MB` });
+    }
+
+    const prefixedFilename = prefixFilename(filename);
+    console.log('Creating direct upload target:', { originalFilename: filename, prefixedFilename, mimeType, size, shop });
+
+    const client = createShopifyClient(shopifyConfig);
+    const stagedTarget = await createStagedTarget(client, {
+      filename: prefixedFilename,
+      mimeType,
+      fileSize: size,
+      httpMethod: 'POST',
+    });
+
+    return res.status(200).json({
+      success: true,
+      filename: prefixedFilename,
+      target: {
+        url: stagedTarget.url,
+        resourceUrl: stagedTarget.resourceUrl,
+        parameters: stagedTarget.parameters || [],
+        httpMethod: 'POST',
+      },
+    });
+  } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
+    console.error('Upload init error:', error && error.stack ? error.stack : error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+module.exports = handler;
+module.exports.config = config;
@@ -1,165 +1,36 @@
 // api/upload.js
 // Place this file in your Vercel project at: /api/upload.js
 
-const FormData = require('form-data');
-
+const { createShopifyClient, getShopifyConfig } = require('../lib/shopify');
+const { sendApiError } = require('../lib/errors');
+const { applyCors } = require('../lib/cors');
+const { enforceRateLimit, RATE_LIMIT_HEADERS } = require('../lib/rate-limit');
+const { requireUploadToken } = require('../lib/upload-token');
+const { prefixFilename, createStagedTarget, createFileFromStaged } = require('../lib/shopify-files');
+const { parseUploadRequest } = require('../lib/request-body');
+const { validateImage } = require('../lib/image-validation');
+const { ratePrintQuality } = require('../lib/print-quality');
+const { parseCrop } = require('../lib/crop');
+const { hashContent, recordUpload } = require('../lib/manifest');
+
+// Bodies are read by lib/request-body.js (12MB limit), so the stream must
+// arrive unread
 const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '12mb',
-    },
+    bodyParser: false,
   },
   maxDuration: 30,
 };
 
-// Rate limiting: In-memory store (resets on deployment/restart)
-// For production, consider using Redis or a database
-const rateLimitStore = new Map();
-const RATE_LIMIT = 50; // Max uploads per hour
-const RATE_WINDOW = 60 * 60 * 1000; // 1 hour in milliseconds
-
-function getRateLimitKey(ip) {
-  return `ratelimit:${ip}`;
-}
-
-function checkRateLimit(ip) {
-  const key = getRateLimitKey(ip);
-  const now = Date.now();
-  
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + RATE_WINDOW });
-    return { allowed: true, remaining: RATE_LIMIT - 1 };
-  }
-  
-  const record = rateLimitStore.get(key);
-  
-  // Reset if window has passed
-  if (now > record.resetTime) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + RATE_WINDOW });
-    return { allowed: true, remaining: RATE_LIMIT - 1 };
-  }
-  
-  // Check if limit exceeded
-  if (record.count >= RATE_LIMIT) {
-    const timeRemaining = Math.ceil((record.resetTime - now) / 1000 / 60); // minutes
-    return { allowed: false, remaining: 0, resetIn: timeRemaining };
-  }
-  
-  // Increment count
-  record.count += 1;
-  rateLimitStore.set(key, record);
-  
-  return { allowed: true, remaining: RATE_LIMIT - record.count };
-}
-
-// Clean up old entries periodically to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, record] of rateLimitStore.entries()) {
-    if (now > record.resetTime) {
-      rateLimitStore.delete(key);
-    }
-  }
-}, 5 * 60 * 1000); // Clean every 5 minutes
-
-// Polling function to wait for MediaImage processing
-async function pollForMediaReady(shop, token, fileId, maxWaitMs = 15000, pollIntervalMs = 1000) {
-  const startTime = Date.now();
-  const endTime = startTime + maxWaitMs;
-
-  const statusQuery = `
-    query getFileStatus($id: ID!) {
-      node(id: $id) {
-        __typename
-        ... on MediaImage {
-          id
-          status
-          image {
-            url
-          }
-        }
-      }
-    }
-  `;
-
-  while (Date.now() < endTime) {
-    try {
-      console.log(`Polling for media status, fileId: ${fileId}, time elapsed: ${Date.now() - startTime}ms`);
-
-      const statusRes = await fetch(`https://${shop}/admin/api/2024-10/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token,
-        },
-        body: JSON.stringify({
-          query: statusQuery,
-          variables: { id: fileId }
-        }),
-      });
-
-      const statusText = await statusRes.text();
-      const statusData = JSON.parse(statusText);
-
-      if (statusData.errors) {
-        console.error('Status check query errors:', statusData.errors);
-        throw new Error('Failed to check media status');
-      }
-
-      const media = statusData.data?.node;
-      if (!media) {
-        console.error('Media not found for status check:', statusData);
-        throw new Error('Media not found');
-      }
-
-      console.log(`Media status: ${media.status}`);
-
-      if (media.status === 'READY') {
-        if (media.image && media.image.url) {
-          console.log('Media ready with URL:', media.image.url);
-          return { success: true, url: media.image.url, fileId: media.id };
-        } else {
-          console.error('Media marked as READY but no URL available:', media);
-          throw new Error('Media ready but no URL available');
-        }
-      }
-
-      if (media.status === 'FAILED') {
-        console.error('Media processing failed:', media);
-        throw new Error('Media processing failed');
-      }
-
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
-
-    } catch (error) {
-      console.error('Error during polling:', error);
-      throw error;
-    }
-  }
-
-  // Timeout reached
-  console.error(`Polling timeout reached after ${maxWaitMs}ms for fileId: ${fileId}`);
-  throw new Error(`Media processing timeout: Shopify did not complete processing within ${maxWaitMs / 1000} seconds. The image may still be processing in the background.`);
-}
+const CORS = {
+  methods: ['POST'],
+  allowHeaders: ['X-Filename', 'X-Print-Size', 'X-Print-Crop', 'X-Cart-Token', 'X-Customer-Id', 'X-Upload-Token'],
+  exposeHeaders: RATE_LIMIT_HEADERS,
+};
 
 async function handler(req, res) {
   // CORS headers - MUST be set for all responses including errors
-  const corsHeaders = {
-    'Access-Control-Allow-Credentials': 'true',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,OPTIONS,PATCH,DELETE,POST,PUT',
-    'Access-Control-Allow-Headers': 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization',
-  };
-
-  // Set CORS headers for ALL responses
-  Object.keys(corsHeaders).forEach(key => {
-    res.setHeader(key, corsHeaders[key]);
-  });
-
-  // Handle OPTIONS preflight request
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+  if (applyCors(req, res, CORS)) {
     return;
   }
 
@@ -167,35 +38,21 @@ async function handler(req, res) {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
-  // Get client IP address
-  const ip = req.headers['x-forwarded-for']?.split(',')[0].trim() || 
-             req.headers['x-real-ip'] || 
-             req.connection?.remoteAddress || 
-             'unknown';
-  
-  console.log('Request from IP:', ip);
+  // Reject requests without a valid upload token from the App Proxy
+  const uploadToken = requireUploadToken(req, res);
+  if (!uploadToken) {
+    return;
+  }
 
-  // Check rate limit
-  const rateLimitResult = checkRateLimit(ip);
-  
-  // Add rate limit headers
-  res.setHeader('X-RateLimit-Limit', RATE_LIMIT.toString());
-  res.setHeader('X-RateLimit-Remaining', rateLimitResult.remaining.toString());
-  
-  if (!rateLimitResult.allowed) {
-    console.warn(`Rate limit exceeded for IP: ${ip}, reset in ${rateLimitResult.resetIn} minutes`);
-    return res.status(429).json({ 
-      success: false, 
-      error: 'Rate limit exceeded', 
-      message: `You have exceeded the maximum of ${RATE_LIMIT} uploads per hour. Please try again in ${rateLimitResult.resetIn} minutes.`,
-      resetIn: rateLimitResult.resetIn 
-    });
+  // Rate limit by the token's verified session rather than client headers
+  if (!(await enforceRateLimit(req, res, { shop: uploadToken.shop, session: uploadToken.sid }))) {
+    return;
   }
 
   try {
     // Get shop and token from environment variables
-    const shop = process.env.SHOPIFY_SHOP;
-    const token = process.env.SHOPIFY_ADMIN_TOKEN;
+    const shopifyConfig = getShopifyConfig();
+    const { shop, token } = shopifyConfig;
 
     // Check environment variables FIRST
     if (!shop || !token) {
@@ -203,99 +60,34 @@ async function handler(req, res) {
       return res.status(500).json({ success: false, error: 'Server configuration error - missing credentials', details: 'Environment variables not configured. Please set SHOPIFY_SHOP and SHOPIFY_ADMIN_TOKEN in Vercel dashboard.' });
     }
 
-    const { filename, image } = req.body || {};
+    const client = createShopifyClient(shopifyConfig);
 
-    if (!filename || !image) {
-      return res.status(400).json({ success: false, error: 'Missing filename or image data' });
-    }
+    // Accepts the legacy JSON data URL, multipart/form-data or a raw image/* body
+    const { filename, contentType: declaredType, buffer, fields } = await parseUploadRequest(req);
 
-    // Add "CP" prefix to filename for easy identification and cleanup
-    const prefixedFilename = `CP_${filename}`;
-
-    // Validate base64 image data
-    if (!image.startsWith('data:image/')) {
-      return res.status(400).json({ success: false, error: 'Invalid image format' });
-    }
+    // Check the real format from the file header, never the declared MIME type
+    const image = validateImage(buffer);
+    const contentType = image.mimeType;
 
-    // Extract base64 data and content type
-    const matches = image.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
-      return res.status(400).json({ success: false, error: 'Invalid base64 format' });
-    }
+    // Crop chosen in the theme block's editor (null when none was sent)
+    const crop = parseCrop(fields.crop, { width: image.width, height: image.height, size: fields.size });
 
-    const contentType = matches[1];
-    const base64Data = matches[2];
+    // Effective DPI of the printed area for the selected puzzle size (null when no size was sent)
+    const quality = crop
+      ? ratePrintQuality(crop.width, crop.height, fields.size)
+      : ratePrintQuality(image.width, image.height, fields.size);
 
-    // Convert base64 to buffer
-    const buffer = Buffer.from(base64Data, 'base64');
+    // Add "CP" prefix to filename for easy identification and cleanup
+    const prefixedFilename = prefixFilename(filename);
 
-    console.log('Processing upload:', { originalFilename: filename, prefixedFilename, contentType, size: buffer.length, shop: shop });
+    console.log('Processing upload:', { originalFilename: filename, prefixedFilename, contentType, declaredType, width: image.width, height: image.height, size: buffer.length, shop: shop });
 
     // Step 1: Create staged upload
-    const stagedUploadMutation = `
-      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets {
-            url
-            resourceUrl
-            parameters {
-              name
-              value
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const stagedUploadVariables = {
-      input: [
-        {
-          filename: prefixedFilename,
-          mimeType: contentType,
-          resource: 'IMAGE',
-          fileSize: buffer.length.toString(),
-        },
-      ],
-    };
-
-    // Call Shopify GraphQL to get staged upload target
-    let stagedData;
-    try {
-      const stagedRes = await fetch(`https://${shop}/admin/api/2024-10/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token,
-        },
-        body: JSON.stringify({ query: stagedUploadMutation, variables: stagedUploadVariables }),
-      });
-
-      const stagedText = await stagedRes.text();
-      try {
-        stagedData = JSON.parse(stagedText);
-      } catch (err) {
-        console.error('staged upload JSON parse failed', { status: stagedRes.status, text: stagedText });
-        return res.status(500).json({ success: false, error: 'Failed to create staged upload', details: 'staged upload response not JSON' });
-      }
-
-      if (stagedData.errors || stagedData.data?.stagedUploadsCreate?.userErrors?.length) {
-        console.error('staged upload returned errors', stagedData);
-        return res.status(500).json({ success: false, error: 'Failed to create staged upload', details: stagedData.errors || stagedData.data.stagedUploadsCreate.userErrors });
-      }
-    } catch (err) {
-      console.error('stagedUploadsCreate fetch failed', err && err.message ? err.message : err);
-      return res.status(500).json({ success: false, error: 'Failed to create staged upload', details: 'network error during stagedUploadsCreate' });
-    }
-
-    const stagedTarget = stagedData.data.stagedUploadsCreate.stagedTargets && stagedData.data.stagedUploadsCreate.stagedTargets[0];
-    if (!stagedTarget || !stagedTarget.url) {
-      console.error('No staged target in response', stagedData);
-      return res.status(500).json({ success: false, error: 'Failed to create staged upload', details: 'no staged target returned' });
-    }
+    const stagedTarget = await createStagedTarget(client, {
+      filename: prefixedFilename,
+      mimeType: contentType,
+      fileSize: buffer.length,
+    });
 
     // Step 2: Upload file to staged URL
     const headers = {};
@@ -323,120 +115,29 @@ async function handler(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to upload file to storage', details: 'network error during upload to staged target' });
     }
 
-    // Step 3: Create file in Shopify using staged resource URL
-    const fileCreateMutation = `
-      mutation fileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files {
-            __typename
-            ... on GenericFile {
-              id
-              url
-              alt
-            }
-            ... on MediaImage {
-              id
-              status
-              image {
-                url
-              }
-              alt
-            }
-            ... on Video {
-              id
-              sources {
-                url
-              }
-            }
-            ... on Model3d {
-              id
-              sources {
-                url
-              }
-            }
-          }
-          userErrors { field message }
-        }
-      }
-    `;
-
-    const fileCreateVariables = { files: [{ alt: prefixedFilename, contentType: 'IMAGE', originalSource: stagedTarget.resourceUrl }] };
-
-    console.log('stagedTarget.resourceUrl:', stagedTarget.resourceUrl);
-    console.log('fileCreateVariables:', fileCreateVariables);
-
-    try {
-      const fileRes = await fetch(`https://${shop}/admin/api/2024-10/graphql.json`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': token }, body: JSON.stringify({ query: fileCreateMutation, variables: fileCreateVariables }) });
-      const fileText = await fileRes.text();
-      let fileData;
-      try { fileData = JSON.parse(fileText); } catch (err) { console.error('fileCreate response not JSON', { status: fileRes.status, text: fileText }); return res.status(500).json({ success: false, error: 'Failed to create file in Shopify', details: 'fileCreate response not JSON' }); }
-      if (fileData.errors || fileData.data?.fileCreate?.userErrors?.length) { console.error('fileCreate errors', fileData); return res.status(500).json({ success: false, error: 'Failed to create file in Shopify', details: fileData.errors || fileData.data.fileCreate.userErrors }); }
-      const createdFile = fileData.data.fileCreate.files && fileData.data.fileCreate.files[0];
-      if (!createdFile) { console.error('fileCreate returned no file', fileData); return res.status(500).json({ success: false, error: 'Failed to create file in Shopify', details: 'no file returned' }); }
-
-      console.log('fileCreate full response:', JSON.stringify(fileData, null, 2));
-      console.log('createdFile object:', createdFile);
-      console.log('createdFile.__typename:', createdFile.__typename);
-      console.log('createdFile.status:', createdFile.status);
-
-      // Handle different file types
-      if (createdFile.__typename === 'GenericFile') {
-        if (createdFile.url) {
-          console.log('GenericFile upload successful:', { url: createdFile.url });
-          return res.status(200).json({ success: true, url: createdFile.url, fileId: createdFile.id, message: 'File uploaded successfully' });
-        } else {
-          console.error('GenericFile created but no URL available', createdFile);
-          return res.status(500).json({ success: false, error: 'File created but no URL available', details: 'GenericFile was created but URL is not available' });
-        }
-      }
-
-      // For MediaImage, poll until ready or timeout
-      if (createdFile.__typename === 'MediaImage') {
-        try {
-          console.log('MediaImage created, starting polling for readiness...');
-          const pollResult = await pollForMediaReady(shop, token, createdFile.id);
-
-          console.log('Polling successful, returning URL:', pollResult.url);
-          return res.status(200).json({
-            success: true,
-            url: pollResult.url,
-            fileId: pollResult.fileId,
-            message: 'Image uploaded and processed successfully'
-          });
-
-        } catch (pollError) {
-          console.error('Polling failed:', pollError.message);
-          return res.status(500).json({
-            success: false,
-            error: 'Image processing timeout',
-            details: pollError.message,
-            fileId: createdFile.id,
-            status: createdFile.status
-          });
-        }
-      }
-
-      // Handle other media types (Video, Model3d)
-      let fileUrl = null;
-      if (createdFile.__typename === 'Video' && createdFile.sources && createdFile.sources.length > 0) {
-        fileUrl = createdFile.sources[0].url;
-      } else if (createdFile.__typename === 'Model3d' && createdFile.sources && createdFile.sources.length > 0) {
-        fileUrl = createdFile.sources[0].url;
-      }
-
-      if (fileUrl) {
-        console.log('Upload successful:', { url: fileUrl });
-        return res.status(200).json({ success: true, url: fileUrl, fileId: createdFile.id, message: 'File uploaded successfully' });
-      } else {
-        console.error('No URL found in created file', createdFile);
-        return res.status(500).json({ success: false, error: 'File created but no URL available', details: 'File was created in Shopify but URL is not accessible' });
-      }
+    // Step 3: Create file in Shopify using staged resource URL and wait for processing
+    const result = await createFileFromStaged(client, { alt: prefixedFilename, resourceUrl: stagedTarget.resourceUrl });
+
+    // Step 4: Record the upload so it can be matched to a cart and order later
+    await recordUpload(req, {
+      fileId: result.fileId,
+      url: result.url,
+      filename: prefixedFilename,
+      originalFilename: filename,
+      contentHash: hashContent(buffer),
+      size: buffer.length,
+      mimeType: contentType,
+      width: image.width,
+      height: image.height,
+      crop,
+      session: uploadToken.sid,
+    });
 
-    } catch (err) {
-      console.error('fileCreate network error', err && err.message ? err.message : err);
-      return res.status(500).json({ success: false, error: 'Failed to create file in Shopify', details: 'network error during fileCreate' });
-    }
+    return res.status(200).json({ success: true, url: result.url, fileId: result.fileId, width: image.width, height: image.height, crop, quality, message: result.message });
   } catch (error) {
+    if (sendApiError(res, error)) {
+      return;
+    }
     console.error('Upload error:', error && error.stack ? error.stack : error);
     return res.status(500).json({ success: false, error: 'Internal server error', message: error && error.message ? error.message : String(error) });
   }
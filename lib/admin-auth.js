@@ -0,0 +1,189 @@
+// lib/admin-auth.js
+// Admin accounts, login sessions and role checks for the cleanup routes.
+// Accounts come from ADMIN_USERS (scrypt password hashes, one role each).
+// A login returns a short-lived signed session token that the admin panel
+// sends as `Authorization: Bearer <token>`; the password itself is only ever
+// sent to /api/admin-login.
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { getStore } = require('./store');
+const { getClientIp } = require('./rate-limit');
+const { safeEqual, signToken, verifyToken } = require('./signed-token');
+const { hashIp } = require('./manifest');
+const { appendAudit } = require('./audit');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'cleaner', 'admin'];
+
+const SESSION_TTL_MS = (parseInt(process.env.ADMIN_SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+// Brute-force protection: this many failed logins from one IP within the
+// window lock that IP out for LOCKOUT_MS
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 64;
+
+// "scrypt$<salt>$<hash>", both base64url
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), SCRYPT_KEYLEN);
+  return safeEqual(actual.toString('base64url'), hash);
+}
+
+// Hashed once so unknown usernames take as long as wrong passwords
+let dummyHash = null;
+
+// [{ username, role, passwordHash }] from ADMIN_USERS (a JSON array)
+function getAdminUsers() {
+  if (!process.env.ADMIN_USERS) return [];
+
+  let users;
+  try {
+    users = JSON.parse(process.env.ADMIN_USERS);
+  } catch (err) {
+    console.error('ADMIN_USERS is not valid JSON:', err.message);
+    return [];
+  }
+  return (Array.isArray(users) ? users : []).filter(user => {
+    const valid = user && user.username && ROLES.includes(user.role) && String(user.passwordHash || '').startsWith('scrypt$');
+    if (!valid) console.warn('Ignoring invalid ADMIN_USERS entry:', user && user.username);
+    return valid;
+  });
+}
+
+// Never a password: anyone who knew it could sign a session for any role
+function getSessionSecret() {
+  return process.env.ADMIN_TOKEN_SECRET || null;
+}
+
+function requireConfig() {
+  if (getAdminUsers().length === 0 || !getSessionSecret()) {
+    console.error('Admin accounts not configured: set ADMIN_USERS and ADMIN_TOKEN_SECRET');
+    throw new ApiError(500, 'Server configuration error', {
+      message: 'Admin accounts not configured. Please set ADMIN_USERS and ADMIN_TOKEN_SECRET in environment variables.'
+    });
+  }
+}
+
+function lockoutKey(ip) {
+  return `admin-lockout:${ip}`;
+}
+
+// Records a failed login and locks the IP out once it has too many
+async function recordLoginFailure(ip, username) {
+  const store = getStore();
+  const result = await store.slidingWindow(`admin-login-failures:${ip}`, {
+    limit: MAX_LOGIN_FAILURES,
+    windowMs: LOGIN_FAILURE_WINDOW_MS,
+  });
+
+  const lockedOut = !result.allowed || result.count >= MAX_LOGIN_FAILURES;
+  if (lockedOut) {
+    await store.set(lockoutKey(ip), Date.now() + LOCKOUT_MS, { ttlMs: LOCKOUT_MS });
+    console.warn(`Admin login locked for ${ip} after ${MAX_LOGIN_FAILURES} failures`);
+  }
+
+  await appendAudit('admin.login_failed', username || 'unknown', { ipHash: hashIp(ip), lockedOut });
+}
+
+// Checks the credentials and issues a session token.
+// Resolves to { token, expiresAt, username, role }; throws ApiError 401/429/500.
+async function login(req, { username, password }) {
+  requireConfig();
+
+  const ip = getClientIp(req);
+  const lockedUntil = await getStore().get(lockoutKey(ip));
+  if (lockedUntil) {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    throw new ApiError(429, 'Too many failed logins', {
+      message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+      retryAfter,
+    });
+  }
+
+  if (!username || !password) {
+    throw new ApiError(400, 'Missing credentials', { message: 'Username and password are required' });
+  }
+
+  const user = getAdminUsers().find(candidate => candidate.username === username);
+
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+  const valid = verifyPassword(password, user ? user.passwordHash : dummyHash) && Boolean(user);
+
+  if (!valid) {
+    await recordLoginFailure(ip, username);
+    console.warn('Failed admin login', { username, ip });
+    throw new ApiError(401, 'Unauthorized', { message: 'Invalid username or password' });
+  }
+
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const token = signToken({ typ: 'admin_session', sub: user.username, role: user.role, exp: expiresAt }, getSessionSecret());
+  console.log('Admin login', { username: user.username, role: user.role, ip });
+  await appendAudit('admin.login', user.username, { role: user.role, ipHash: hashIp(ip) });
+
+  return { token, expiresAt, username: user.username, role: user.role };
+}
+
+function hasRole(session, role) {
+  return ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+// Verifies the Bearer session token and that it carries at least `role`.
+// Resolves to { username, role }, or to null after sending 401/403/500.
+function requireRole(req, res, role) {
+  try {
+    requireConfig();
+  } catch (err) {
+    res.status(err.status).json(err.toJSON());
+    return null;
+  }
+
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  const session = scheme === 'Bearer' ? verifyToken(token, getSessionSecret()) : null;
+
+  if (!session || session.typ !== 'admin_session' || Date.now() > session.exp) {
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: session ? 'Your session has expired. Please log in again.' : 'Please log in'
+    });
+    return null;
+  }
+
+  // Accounts removed since the token was issued lose access right away
+  const user = getAdminUsers().find(candidate => candidate.username === session.sub);
+  if (!user) {
+    res.status(401).json({ success: false, error: 'Unauthorized', message: 'Please log in' });
+    return null;
+  }
+
+  if (!hasRole(user, role)) {
+    console.warn(`Admin ${user.username} (${user.role}) denied, needs ${role}`);
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This action needs the ${role} role`
+    });
+    return null;
+  }
+
+  return { username: user.username, role: user.role };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  hasRole,
+  login,
+  requireRole,
+};
@@ -0,0 +1,184 @@
+// lib/audit.js
+// Append-only audit log of uploads, removals and admin actions in the shared
+// store. Each append takes the next number from an atomic counter, with no
+// lock, and the entry's hash covers that number. The chain is checked when the
+// log is read: every number from 1 up to the counter must have an entry with
+// a matching hash, so editing, removing or reordering entries shows up in
+// verifyAuditEntries. With AUDIT_LOG_SECRET set the hashes are HMACs, so they
+// cannot be rebuilt by someone who only has access to the store.
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// The last sequence number handed out
+const SEQ_KEY = 'audit:seq';
+
+// Entries read per store round trip, and at most per listing
+const PAGE_SIZE = 500;
+const MAX_SCAN = parseInt(process.env.AUDIT_MAX_SCAN, 10) || 20000;
+
+// Entry data fields that hold file IDs, for the fileId and order filters
+const FILE_ID_FIELDS = ['fileIds', 'matchedIds', 'processedIds', 'failedIds'];
+
+function entryKey(seq) {
+  return `audit:entry:${seq}`;
+}
+
+// JSON with sorted keys, so the hash does not depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function entryHash({ seq, ts, type, actor, data }) {
+  const payload = canonicalJson({ seq, ts, type, actor, data });
+  const secret = process.env.AUDIT_LOG_SECRET;
+  return secret
+    ? crypto.createHmac('sha256', secret).update(payload).digest('hex')
+    : crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+let warnedMemoryStore = false;
+
+// Appends an entry. Never fails the caller: when the store is unavailable the
+// entry is logged as dropped, with its content, and this resolves to null. A
+// sequence number that was handed out shows up as `missing` when verified.
+async function appendAudit(type, actor, data = {}) {
+  const store = getStore();
+  if (store.name === 'memory' && process.env.VERCEL_ENV === 'production' && !warnedMemoryStore) {
+    warnedMemoryStore = true;
+    console.warn('Audit log is in the in-memory store - each instance keeps its own log, lost on cold start. Set REDIS_URL or KV_URL.');
+  }
+
+  let seq = null;
+  try {
+    seq = await store.incr(SEQ_KEY);
+    const entry = {
+      seq,
+      ts: new Date().toISOString(),
+      type,
+      actor: actor || 'system',
+      data,
+    };
+    entry.hash = entryHash(entry);
+
+    await store.set(entryKey(seq), entry);
+
+    // The function log keeps a copy of the entries outside the store
+    console.log(`Audit #${seq} ${type} by ${entry.actor}: ${entry.hash}`);
+    return entry;
+  } catch (err) {
+    console.error(`Audit entry dropped${seq ? ` (#${seq})` : ''}:`, err.message, JSON.stringify({ type, actor, data }));
+    return null;
+  }
+}
+
+// All file IDs an entry refers to
+function entryFileIds(entry) {
+  const data = entry.data || {};
+  const ids = new Set(data.fileId ? [data.fileId] : []);
+  for (const field of FILE_ID_FIELDS) {
+    (data[field] || []).forEach(id => ids.add(id));
+  }
+  (data.skipped || []).forEach(file => file && file.id && ids.add(file.id));
+  return ids;
+}
+
+// Checks a contiguous range of entries, oldest first, with null for missing
+// ones: each must be stored under its own sequence number with a matching
+// hash. Returns { valid, checked, firstSeq, lastSeq, problems: [{ seq, problem }] }.
+function verifyAuditEntries(entries, { firstSeq }) {
+  const problems = [];
+
+  entries.forEach((entry, i) => {
+    const seq = firstSeq + i;
+    if (!entry) {
+      problems.push({ seq, problem: 'missing' });
+      return;
+    }
+
+    if (entry.seq !== seq) {
+      problems.push({ seq, problem: 'seq_mismatch' });
+    }
+    if (entryHash(entry) !== entry.hash) {
+      problems.push({ seq, problem: 'hash_mismatch' });
+    }
+  });
+
+  return {
+    valid: problems.length === 0,
+    checked: entries.filter(Boolean).length,
+    firstSeq: entries.length ? firstSeq : null,
+    lastSeq: entries.length ? firstSeq + entries.length - 1 : null,
+    problems: problems.slice(0, 100),
+  };
+}
+
+// Reads entries newest first back to `from` (or MAX_SCAN entries), verifies
+// that range and applies the filters. Resolves to
+// { entries (newest first), total, truncated, verification }.
+//   types:  entry types, or prefixes like `removal.`
+//   actor, fileId, from, to (ISO dates), limit
+//   order:  order name (#1234) or ID; matches the claim of the order's uploads
+//           and every entry about those files
+async function listAuditEntries({ types, actor, fileId, order, from, to, limit = 200 } = {}) {
+  const store = getStore();
+  const lastSeq = (await store.get(SEQ_KEY)) || 0;
+
+  const oldestSeq = Math.max(1, lastSeq - MAX_SCAN + 1);
+  let scanned = [];
+  let reachedFrom = false;
+  for (let top = lastSeq; top >= oldestSeq && !reachedFrom; top -= PAGE_SIZE) {
+    const seqs = [];
+    for (let seq = top; seq > top - PAGE_SIZE && seq >= oldestSeq; seq--) seqs.push(seq);
+
+    const page = await store.getMany(seqs.map(entryKey));
+    scanned = scanned.concat(page);
+
+    const oldest = page.filter(Boolean).pop();
+    reachedFrom = Boolean(from && oldest && oldest.ts < from);
+  }
+
+  const verification = verifyAuditEntries(scanned.slice().reverse(), { firstSeq: lastSeq - scanned.length + 1 });
+  // Older entries exist that were neither read nor excluded by `from`
+  const truncated = !reachedFrom && lastSeq - scanned.length > 0;
+
+  let orderFileIds = null;
+  if (order) {
+    const wanted = String(order).replace(/^#/, '');
+    const claims = scanned.filter(entry => entry && entry.type === 'upload.claimed'
+      && (String(entry.data.orderName || '').replace(/^#/, '') === wanted || String(entry.data.orderId) === wanted));
+    orderFileIds = new Set(claims.flatMap(entry => entry.data.fileIds || []));
+  }
+
+  const matches = scanned.filter(entry => {
+    if (!entry) return false;
+    if (types && types.length && !types.some(type => (type.endsWith('.') ? entry.type.startsWith(type) : entry.type === type))) return false;
+    if (actor && entry.actor !== actor) return false;
+    if (from && entry.ts < from) return false;
+    if (to && entry.ts > to) return false;
+    if (fileId && !entryFileIds(entry).has(fileId)) return false;
+    if (orderFileIds && ![...entryFileIds(entry)].some(id => orderFileIds.has(id))) return false;
+    return true;
+  });
+
+  return {
+    entries: matches.slice(0, limit),
+    total: matches.length,
+    truncated,
+    verification,
+  };
+}
+
+module.exports = {
+  appendAudit,
+  entryFileIds,
+  verifyAuditEntries,
+  listAuditEntries,
+};
@@ -0,0 +1,272 @@
+// lib/cleanup-jobs.js
+// Resumable cleanup jobs. A confirmed removal becomes a job in the shared store
+// with a cursor into its file list; each invocation deletes a time-boxed slice
+// and saves progress, so large cleanups survive the function time limit.
+
+const crypto = require('crypto');
+const { ShopifyError } = require('./shopify');
+const { ApiError } = require('./errors');
+const { deleteFiles } = require('./shopify-files');
+const { quarantineFiles, purgeQuarantined } = require('./quarantine');
+const { getStore } = require('./store');
+const { appendAudit } = require('./audit');
+
+const JOB_STATES = ['pending', 'running', 'paused', 'done', 'failed'];
+
+// What a job does with each batch, and the counter it reports successes in
+const JOB_ACTIONS = {
+  delete: { run: deleteFiles, counter: 'deleted' },
+  quarantine: { run: quarantineFiles, counter: 'quarantined' },
+  // Deletes only files still in quarantine and past the grace period
+  purge_quarantine: { run: purgeQuarantined, counter: 'deleted' },
+};
+
+// Finished jobs are kept this long for the status endpoint
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Work per invocation, leaving headroom below the 60s maxDuration
+const DEFAULT_SLICE_MS = 40 * 1000;
+// A crashed invocation's lock expires after this, so the job can be resumed
+const LOCK_TTL_MS = DEFAULT_SLICE_MS + 20 * 1000;
+// Delete in batches of 10 (Shopify limit)
+const DELETE_BATCH_SIZE = 10;
+// Consecutive failed batches before the job is marked failed
+const MAX_CONSECUTIVE_FAILURES = 3;
+// Errors kept on the job record
+const MAX_ERRORS = 50;
+
+const JOB_INDEX_KEY = 'cleanup-jobs';
+
+function jobKey(id) {
+  return `cleanup-job:${id}`;
+}
+
+function lockKey(id) {
+  return `cleanup-job-lock:${id}`;
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await getStore().set(jobKey(job.id), job, { ttlMs: JOB_TTL_MS });
+  return job;
+}
+
+async function getJob(id) {
+  return id ? getStore().get(jobKey(id)) : null;
+}
+
+async function requireJob(id) {
+  const job = await getJob(id);
+  if (!job) {
+    throw new ApiError(404, 'Job not found', { message: `No cleanup job with id ${id}` });
+  }
+  return job;
+}
+
+// Creates a pending job for the given file IDs. `action` is a JOB_ACTIONS key;
+// `details` is stored as-is for reporting (mode, description, skipped files, ...).
+async function createJob({ fileIds, action = 'delete', ...details }) {
+  if (!JOB_ACTIONS[action]) {
+    throw new ApiError(400, 'Invalid action', { message: `action must be one of ${Object.keys(JOB_ACTIONS).join(', ')}` });
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    state: 'pending',
+    ...details,
+    action,
+    fileIds,
+    total: fileIds.length,
+    cursor: 0,
+    [JOB_ACTIONS[action].counter]: 0,
+    failed: 0,
+    // Per-file outcome, for the audit log
+    processedIds: [],
+    failedIds: [],
+    errors: [],
+    createdAt: now,
+    finishedAt: null,
+  };
+
+  await saveJob(job);
+
+  // Index of job IDs, dropping ones whose records have expired
+  const store = getStore();
+  const ids = (await store.get(JOB_INDEX_KEY)) || [];
+  const live = [];
+  for (const id of ids) {
+    if (await store.get(jobKey(id))) live.push(id);
+  }
+  await store.set(JOB_INDEX_KEY, [...live, job.id]);
+
+  console.log(`Created cleanup job ${job.id}: ${job.total} files`);
+  return job;
+}
+
+async function listJobs() {
+  const ids = (await getStore().get(JOB_INDEX_KEY)) || [];
+  const jobs = [];
+  for (const id of ids) {
+    const job = await getJob(id);
+    if (job) jobs.push(job);
+  }
+  return jobs;
+}
+
+// Public view of a job, without the file list
+function getJobProgress(job) {
+  const processed = job.cursor;
+  return {
+    id: job.id,
+    state: job.state,
+    mode: job.mode,
+    action: job.action,
+    description: job.description,
+    total: job.total,
+    processed,
+    deleted: job.deleted,
+    quarantined: job.quarantined,
+    failed: job.failed,
+    percent: job.total ? Math.floor((processed / job.total) * 100) : 100,
+    skipped: job.skipped && job.skipped.length ? job.skipped : undefined,
+    errors: job.errors.length ? job.errors : undefined,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// Records the outcome of a finished (done or failed) job in the audit log
+async function auditFinished(job) {
+  await appendAudit('removal.finished', job.createdBy, {
+    jobId: job.id,
+    action: job.action,
+    mode: job.mode,
+    description: job.description,
+    state: job.state,
+    processedIds: job.processedIds || [],
+    failedIds: job.failedIds || [],
+    errors: job.errors,
+    error: job.error,
+  });
+}
+
+// Another request may have paused the job while this one was working on it
+async function keepPause(job) {
+  const latest = await getJob(job.id);
+  if (latest && latest.state === 'paused' && job.state === 'running') {
+    job.state = 'paused';
+  }
+}
+
+// Deletes batches until the job is finished or `budgetMs` is used up, saving
+// the cursor after every batch. Resolves to the updated job. Throws ApiError
+// 409 when another invocation is already working on the job.
+async function runJobSlice(client, id, { budgetMs = DEFAULT_SLICE_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const store = getStore();
+
+  if (!(await store.setIfAbsent(lockKey(id), Date.now(), { ttlMs: LOCK_TTL_MS }))) {
+    throw new ApiError(409, 'Job busy', { message: 'Another request is already processing this job' });
+  }
+
+  try {
+    const job = await requireJob(id);
+    if (!['pending', 'running'].includes(job.state)) {
+      return job;
+    }
+
+    job.state = 'running';
+    await saveJob(job);
+
+    const { run, counter } = JOB_ACTIONS[job.action || 'delete'];
+    let consecutiveFailures = 0;
+
+    while (job.cursor < job.total && Date.now() < deadline) {
+      const batch = job.fileIds.slice(job.cursor, job.cursor + DELETE_BATCH_SIZE);
+      const batchNumber = job.cursor / DELETE_BATCH_SIZE + 1;
+
+      try {
+        const done = await run(client, batch);
+        job[counter] += done.length;
+        job.failed += batch.length - done.length;
+        job.processedIds = [...(job.processedIds || []), ...done];
+        job.failedIds = [...(job.failedIds || []), ...batch.filter(fileId => !done.includes(fileId))];
+        consecutiveFailures = 0;
+        console.log(`Job ${job.id} batch ${batchNumber}: ${counter} ${done.length} files`);
+      } catch (error) {
+        const details = error instanceof ShopifyError ? error.details : error.message;
+        console.error(`Job ${job.id} batch ${batchNumber} failed:`, details);
+        job.failed += batch.length;
+        job.failedIds = [...(job.failedIds || []), ...batch];
+        job.errors = [...job.errors, { batch: batchNumber, error: details }].slice(-MAX_ERRORS);
+        consecutiveFailures++;
+      }
+
+      // The client waits on Shopify's throttle, so no fixed pause is needed
+      job.cursor += batch.length;
+
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        job.state = 'failed';
+        job.error = `${MAX_CONSECUTIVE_FAILURES} batches in a row failed`;
+        job.finishedAt = new Date().toISOString();
+        break;
+      }
+
+      await keepPause(job);
+      await saveJob(job);
+      if (job.state === 'paused') break;
+    }
+
+    await keepPause(job);
+    if (job.state === 'running' && job.cursor >= job.total) {
+      job.state = 'done';
+      job.finishedAt = new Date().toISOString();
+      console.log(`Job ${job.id} done: ${job[counter]} ${counter}, ${job.failed} failed`);
+    }
+
+    await saveJob(job);
+    if (job.finishedAt) {
+      await auditFinished(job);
+    }
+    return job;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    console.error(`Job ${id} crashed:`, error);
+    const job = await getJob(id);
+    if (job) {
+      job.state = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      await saveJob(job);
+      await auditFinished(job);
+    }
+    throw error;
+  } finally {
+    await store.del(lockKey(id));
+  }
+}
+
+// Pauses a pending or running job, or resumes a paused one
+async function setJobPaused(id, paused) {
+  const job = await requireJob(id);
+  const from = paused ? ['pending', 'running'] : ['paused'];
+
+  if (!from.includes(job.state)) {
+    throw new ApiError(409, 'Invalid job state', { message: `Cannot ${paused ? 'pause' : 'resume'} a job that is ${job.state}` });
+  }
+
+  job.state = paused ? 'paused' : (job.cursor > 0 ? 'running' : 'pending');
+  return saveJob(job);
+}
+
+module.exports = {
+  JOB_STATES,
+  createJob,
+  getJob,
+  listJobs,
+  getJobProgress,
+  runJobSlice,
+  setJobPaused,
+};
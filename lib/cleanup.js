@@ -0,0 +1,180 @@
+// lib/cleanup.js
+// File listing, previews and orphan detection for the cleanup routes
+
+const { UPLOAD_PREFIX, normalizeFileUrl } = require('./shopify-files');
+const { collectReferencedPhotos } = require('./orders');
+const { TYPENAME_MEDIA_TYPES, escapeSearchValue } = require('./file-filters');
+const { getUploadRecords } = require('./manifest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uploads younger than this are never orphans: the shopper may still be checking out
+const ORPHAN_MIN_AGE_DAYS = parseInt(process.env.ORPHAN_MIN_AGE_DAYS, 10) || 30;
+// Photos on orders created within this many days are kept even once fulfilled,
+// for reprints and complaints
+const ORPHAN_RECENT_ORDER_DAYS = parseInt(process.env.ORPHAN_RECENT_ORDER_DAYS, 10) || 90;
+
+const FILES_QUERY = `
+  query getFiles($query: String, $first: Int, $after: String, $last: Int, $before: String, $sortKey: FileSortKeys, $reverse: Boolean) {
+    files(query: $query, first: $first, after: $after, last: $last, before: $before, sortKey: $sortKey, reverse: $reverse) {
+      edges {
+        node {
+          __typename
+          id
+          alt
+          createdAt
+          fileStatus
+          ... on MediaImage {
+            image {
+              url
+            }
+            originalSource {
+              fileSize
+            }
+          }
+          ... on GenericFile {
+            url
+            originalFileSize
+          }
+        }
+        cursor
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+    }
+  }
+`;
+
+// Last path segment of a file URL, e.g. "CP_photo.jpg"
+function getFilenameFromUrl(url) {
+  if (!url) return null;
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop());
+  } catch (err) {
+    return null;
+  }
+}
+
+// { id, alt, filename, createdAt, url, size, mediaType, status } from a files node
+function toFile(node) {
+  const url = node.image?.url || node.url || null;
+  return {
+    id: node.id,
+    alt: node.alt || '',
+    filename: getFilenameFromUrl(url),
+    createdAt: node.createdAt,
+    url,
+    size: node.originalSource?.fileSize ?? node.originalFileSize ?? null,
+    mediaType: TYPENAME_MEDIA_TYPES[node.__typename] || null,
+    status: node.fileStatus || null,
+  };
+}
+
+// One page of files matching the search query: `first` files after the
+// `after` cursor, or `last` files before `before`. `sortKey` is a Shopify
+// FileSortKeys value. Resolves to { files, pageInfo }.
+async function listFilesPage(client, { query = null, first, after, last, before, sortKey, reverse } = {}) {
+  const data = await client.request(FILES_QUERY, {
+    query,
+    first: last ? null : first || 50,
+    after: after || null,
+    last: last || null,
+    before: before || null,
+    sortKey: sortKey || null,
+    reverse: Boolean(reverse),
+  });
+
+  const pageInfo = data?.files?.pageInfo || {};
+  return {
+    files: (data?.files?.edges || []).map(({ node }) => toFile(node)),
+    pageInfo: {
+      hasNextPage: pageInfo.hasNextPage || false,
+      hasPreviousPage: pageInfo.hasPreviousPage || false,
+      startCursor: pageInfo.startCursor || null,
+      endCursor: pageInfo.endCursor || null,
+    },
+  };
+}
+
+// Pages through every file matching the search query.
+// Resolves to [{ id, alt, filename, createdAt, url, size, mediaType, status }].
+async function listFiles(client, { query = null } = {}) {
+  const files = [];
+  let hasNextPage = true;
+  let cursor = null;
+  const pageSize = 50;
+
+  while (hasNextPage) {
+    const page = await listFilesPage(client, { query, first: pageSize, after: cursor });
+    files.push(...page.files);
+
+    hasNextPage = page.pageInfo.hasNextPage;
+    cursor = page.pageInfo.endCursor;
+
+    console.log(`Fetched ${page.files.length} files, total: ${files.length}, hasNextPage: ${hasNextPage}`);
+  }
+
+  return files;
+}
+
+// File fields shown in the admin panel, with a small CDN thumbnail
+function previewFile(file) {
+  return {
+    id: file.id,
+    alt: file.alt,
+    url: file.url,
+    thumbnailUrl: file.url ? `${file.url}${file.url.includes('?') ? '&' : '?'}width=240` : null,
+    size: file.size,
+    createdAt: file.createdAt,
+  };
+}
+
+// Splits the CP_ uploads into orphans (old enough and not referenced by any
+// unfulfilled or recent order) and kept files with the reason they were kept.
+// Uploads the manifest has as claimed by a paid order are always kept, in
+// case the order scan missed them.
+async function findOrphans(client, { minAgeDays = ORPHAN_MIN_AGE_DAYS, recentOrderDays = ORPHAN_RECENT_ORDER_DAYS } = {}) {
+  const now = Date.now();
+  const uploadedBefore = new Date(now - minAgeDays * DAY_MS);
+  const referenced = await collectReferencedPhotos(client, { recentSince: new Date(now - recentOrderDays * DAY_MS) });
+
+  const query = `filename:${escapeSearchValue(UPLOAD_PREFIX)}*`;
+  const files = (await listFiles(client, { query })).filter(file => file.alt.startsWith(UPLOAD_PREFIX));
+  const records = await getUploadRecords(files.map(file => file.id));
+
+  const orphans = [];
+  const kept = [];
+
+  files.forEach(file => {
+    const reference = file.url ? referenced.get(normalizeFileUrl(file.url)) : null;
+    const record = records.get(file.id);
+    if (reference) {
+      kept.push({ ...file, reason: reference.reason, order: reference.order });
+    } else if (record && record.status === 'claimed') {
+      kept.push({ ...file, reason: 'claimed_upload', order: record.orderName || null });
+    } else if (new Date(file.createdAt) > uploadedBefore) {
+      kept.push({ ...file, reason: 'recent_upload' });
+    } else {
+      orphans.push(file);
+    }
+  });
+
+  // Oldest first, so capped runs work through the backlog in order
+  orphans.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  console.log(`Orphan scan: ${files.length} uploads, ${orphans.length} orphans, ${kept.length} kept`);
+  return { orphans, kept, minAgeDays, recentOrderDays };
+}
+
+module.exports = {
+  ORPHAN_MIN_AGE_DAYS,
+  ORPHAN_RECENT_ORDER_DAYS,
+  listFiles,
+  listFilesPage,
+  findOrphans,
+  previewFile,
+};
@@ -0,0 +1,82 @@
+// lib/cors.js
+// CORS for the API routes, limited to the storefront origins in ALLOWED_ORIGINS
+
+// Request headers every route accepts; routes add their own on top
+const BASE_ALLOW_HEADERS = [
+  'X-CSRF-Token', 'X-Requested-With', 'Accept', 'Accept-Version', 'Content-Length',
+  'Content-MD5', 'Content-Type', 'Date', 'X-Api-Version', 'Authorization',
+];
+
+// How long browsers may cache a preflight answer
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+// "Shop.com/", "https://shop.com" -> "https://shop.com"
+function normalizeOrigin(origin) {
+  let value = String(origin || '').trim().toLowerCase().replace(/\/+$/, '');
+  if (value && !value.includes('://')) {
+    value = `https://${value}`;
+  }
+  return value;
+}
+
+// ALLOWED_ORIGINS is a comma-separated list, e.g.
+// "https://www.example.com,https://example.com". The shop's myshopify.com
+// domain is always allowed.
+function getAllowedOrigins() {
+  const origins = String(process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(normalizeOrigin)
+    .filter(Boolean);
+
+  if (process.env.SHOPIFY_SHOP) {
+    origins.push(normalizeOrigin(process.env.SHOPIFY_SHOP));
+  }
+
+  return Array.from(new Set(origins));
+}
+
+function isOriginAllowed(origin) {
+  return Boolean(origin) && getAllowedOrigins().includes(normalizeOrigin(origin));
+}
+
+// Sets the CORS headers for a route and answers preflight requests.
+// methods: the methods the route serves (OPTIONS is implied),
+// allowHeaders / exposeHeaders: route-specific request / response headers.
+// Returns true when the request was a preflight and has been answered.
+function applyCors(req, res, { methods, allowHeaders = [], exposeHeaders = [] }) {
+  const origin = req.headers.origin;
+  const allowed = isOriginAllowed(origin);
+
+  // Responses differ per Origin, so caches must not share them
+  res.setHeader('Vary', 'Origin');
+
+  if (allowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    if (exposeHeaders.length) {
+      res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+    }
+  }
+
+  if (req.method !== 'OPTIONS') {
+    return false;
+  }
+
+  if (!allowed) {
+    console.warn('CORS preflight rejected for origin:', origin || '(none)');
+    res.status(403).json({ success: false, error: 'Origin not allowed' });
+    return true;
+  }
+
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(','));
+  res.setHeader('Access-Control-Allow-Headers', [...BASE_ALLOW_HEADERS, ...allowHeaders].join(', '));
+  res.setHeader('Access-Control-Max-Age', PREFLIGHT_MAX_AGE_SECONDS.toString());
+  res.status(204).end();
+  return true;
+}
+
+module.exports = {
+  getAllowedOrigins,
+  isOriginAllowed,
+  applyCors,
+};
@@ -0,0 +1,99 @@
+// lib/crop.js
+// Crop and rotation chosen by the shopper in the theme block's editor. The
+// original photo is stored untouched; the crop travels with it so the print
+// shop can reproduce exactly what the shopper saw.
+
+const { ApiError } = require('./errors');
+const { getPrintSize } = require('./print-quality');
+
+const ROTATIONS = [0, 90, 180, 270];
+const MIN_CROP_EDGE = 16;
+// Rounding to whole pixels shifts the ratio slightly on small crops
+const ASPECT_TOLERANCE = 0.02;
+
+function invalidCrop(message) {
+  return new ApiError(400, 'Invalid crop', { code: 'INVALID_CROP', message });
+}
+
+// Parses a crop ({ x, y, width, height, rotate, imageWidth, imageHeight }, or
+// the same as a JSON string for form fields and headers) against the stored
+// image. Coordinates are pixels of the photo after rotating it `rotate`
+// degrees clockwise; imageWidth / imageHeight are the photo's dimensions as
+// the browser displayed it, before rotation. Returns null when no crop was
+// sent and throws ApiError(400) when it does not fit the image or the
+// aspect ratio of the puzzle size.
+function parseCrop(value, { width, height, size } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let crop = value;
+  if (typeof crop === 'string') {
+    try {
+      crop = JSON.parse(crop);
+    } catch (err) {
+      throw invalidCrop('crop must be a JSON object');
+    }
+  }
+  if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+    throw invalidCrop('crop must be a JSON object');
+  }
+
+  const fields = ['x', 'y', 'width', 'height', 'imageWidth', 'imageHeight'];
+  const parsed = {};
+  for (const field of fields) {
+    const number = Number(crop[field]);
+    if (!Number.isInteger(number) || number < 0) {
+      throw invalidCrop(`crop.${field} must be a whole number of pixels`);
+    }
+    parsed[field] = number;
+  }
+
+  const rotate = Number(crop.rotate || 0);
+  if (!ROTATIONS.includes(rotate)) {
+    throw invalidCrop(`crop.rotate must be one of ${ROTATIONS.join(', ')}`);
+  }
+  parsed.rotate = rotate;
+
+  // Browsers apply the EXIF orientation, so the displayed photo may be the
+  // stored one turned on its side
+  const sameSize = (parsed.imageWidth === width && parsed.imageHeight === height) ||
+    (parsed.imageWidth === height && parsed.imageHeight === width);
+  if (width && height && !sameSize) {
+    throw invalidCrop(`crop was made on a ${parsed.imageWidth}x${parsed.imageHeight} image, the upload is ${width}x${height}`);
+  }
+
+  const turned = rotate === 90 || rotate === 270;
+  const rotatedWidth = turned ? parsed.imageHeight : parsed.imageWidth;
+  const rotatedHeight = turned ? parsed.imageWidth : parsed.imageHeight;
+
+  if (parsed.width < MIN_CROP_EDGE || parsed.height < MIN_CROP_EDGE) {
+    throw invalidCrop(`crop must be at least ${MIN_CROP_EDGE}x${MIN_CROP_EDGE} pixels`);
+  }
+  if (parsed.x + parsed.width > rotatedWidth || parsed.y + parsed.height > rotatedHeight) {
+    throw invalidCrop('crop extends past the edge of the image');
+  }
+
+  // Either orientation of the puzzle is fine, the shape must match
+  const printSize = getPrintSize(size);
+  if (printSize) {
+    const expected = Math.max(printSize.widthIn, printSize.heightIn) / Math.min(printSize.widthIn, printSize.heightIn);
+    const actual = Math.max(parsed.width, parsed.height) / Math.min(parsed.width, parsed.height);
+    if (Math.abs(actual - expected) / expected > ASPECT_TOLERANCE) {
+      throw invalidCrop(`crop does not match the ${printSize.widthIn}x${printSize.heightIn} in shape of a ${printSize.key} piece puzzle`);
+    }
+  }
+
+  return parsed;
+}
+
+// ImageMagick-style instructions, e.g. "rotate 90, crop 1200x1680+40+0"
+function formatCrop(crop) {
+  if (!crop) return null;
+  const geometry = `crop ${crop.width}x${crop.height}+${crop.x}+${crop.y}`;
+  return crop.rotate ? `rotate ${crop.rotate}, ${geometry}` : geometry;
+}
+
+module.exports = {
+  ROTATIONS,
+  parseCrop,
+  formatCrop,
+};
@@ -0,0 +1,19 @@
+// lib/csv.js
+// CSV output for exports that are opened in spreadsheets
+
+// Quotes a CSV field; a leading = + - @ is escaped so spreadsheets don't run it
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header line plus one line per row (an array of values in column order)
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  csvField,
+  toCsv,
+};
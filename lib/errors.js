@@ -0,0 +1,28 @@
+// lib/errors.js
+// Error type for failures that map directly to an API response
+
+class ApiError extends Error {
+  // status: HTTP status code, error: short error string shown to clients,
+  // extra: additional response fields (details, code, fileId, ...)
+  constructor(status, error, extra = {}) {
+    super(extra.message || error);
+    this.name = 'ApiError';
+    this.status = status;
+    this.error = error;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return { success: false, error: this.error, ...this.extra };
+  }
+}
+
+// Sends an ApiError as JSON; returns false for any other error so the
+// caller can fall through to its generic 500 handling
+function sendApiError(res, err) {
+  if (!(err instanceof ApiError)) return false;
+  res.status(err.status).json(err.toJSON());
+  return true;
+}
+
+module.exports = { ApiError, sendApiError };
@@ -0,0 +1,197 @@
+// lib/file-filters.js
+// Structured file filters for cleanup: parsed from the request, pushed down into
+// Shopify's files(query:) search where possible and re-checked on every file
+
+const { ApiError } = require('./errors');
+
+const PATTERN_TYPES = ['contains', 'prefix', 'glob', 'regex'];
+const PATTERN_FIELDS = ['alt', 'filename'];
+const MEDIA_TYPES = ['IMAGE', 'GENERIC_FILE', 'VIDEO', 'MODEL_3D'];
+
+// File __typename -> media_type search value
+const TYPENAME_MEDIA_TYPES = {
+  MediaImage: 'IMAGE',
+  GenericFile: 'GENERIC_FILE',
+  Video: 'VIDEO',
+  Model3d: 'MODEL_3D',
+};
+
+// Untrusted regexes are kept short to limit catastrophic backtracking
+const MAX_PATTERN_LENGTH = 200;
+
+function invalid(message) {
+  return new ApiError(400, 'Invalid filters', { message });
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(`${name} must be a date, e.g. 2024-11-01 or 2024-11-01T12:00:00Z`);
+  }
+  return date;
+}
+
+function parseSize(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) {
+    throw invalid(`${name} must be a whole number of bytes`);
+  }
+  return size;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// The literal text every match starts with, if the pattern has one
+function getLiteralPrefix(type, pattern) {
+  if (type === 'prefix') return pattern;
+  if (type === 'glob') return pattern.split(/[*?]/)[0];
+  return '';
+}
+
+function buildMatcher(type, pattern) {
+  const lower = pattern.toLowerCase();
+  switch (type) {
+    case 'contains':
+      return value => value.toLowerCase().includes(lower);
+    case 'prefix':
+      return value => value.toLowerCase().startsWith(lower);
+    case 'glob': {
+      const regex = globToRegExp(pattern);
+      return value => regex.test(value);
+    }
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (err) {
+        throw invalid(`Invalid regex: ${err.message}`);
+      }
+      return value => regex.test(value);
+    }
+    default:
+      throw invalid(`patternType must be one of ${PATTERN_TYPES.join(', ')}`);
+  }
+}
+
+// Reads the filters from a remove request. The legacy `searchPattern` is a
+// case-insensitive `contains` match on alt. Throws ApiError(400).
+function parseFileFilters(body = {}) {
+  const input = { ...(body.filters || {}) };
+  if (body.searchPattern && !input.pattern) {
+    input.pattern = body.searchPattern;
+  }
+
+  const filters = {
+    pattern: input.pattern ? String(input.pattern) : null,
+    patternType: input.patternType || 'contains',
+    field: input.field || 'alt',
+    createdAfter: parseDate(input.createdAfter, 'createdAfter'),
+    createdBefore: parseDate(input.createdBefore, 'createdBefore'),
+    minSize: parseSize(input.minSize, 'minSize'),
+    maxSize: parseSize(input.maxSize, 'maxSize'),
+    mediaType: input.mediaType ? String(input.mediaType).toUpperCase() : null,
+  };
+
+  if (!PATTERN_TYPES.includes(filters.patternType)) {
+    throw invalid(`patternType must be one of ${PATTERN_TYPES.join(', ')}`);
+  }
+  if (!PATTERN_FIELDS.includes(filters.field)) {
+    throw invalid(`field must be one of ${PATTERN_FIELDS.join(', ')}`);
+  }
+  if (filters.mediaType && !MEDIA_TYPES.includes(filters.mediaType)) {
+    throw invalid(`mediaType must be one of ${MEDIA_TYPES.join(', ')}`);
+  }
+
+  if (filters.pattern !== null) {
+    // Additional security: Prevent accidental mass deletion
+    if (filters.pattern.length < 2) {
+      throw new ApiError(400, 'Search pattern too short', { message: 'Search pattern must be at least 2 characters to prevent accidental mass deletion' });
+    }
+    if (filters.pattern.length > MAX_PATTERN_LENGTH) {
+      throw invalid(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    filters.matcher = buildMatcher(filters.patternType, filters.pattern);
+  }
+
+  const hasFilter = filters.pattern !== null || filters.createdAfter || filters.createdBefore ||
+    filters.minSize !== null || filters.maxSize !== null || filters.mediaType;
+  if (!hasFilter) {
+    throw new ApiError(400, 'Missing searchPattern', { message: 'Please provide a searchPattern or at least one filter to select files to remove' });
+  }
+
+  return filters;
+}
+
+// Backslash-escapes characters with a meaning in Shopify search syntax
+function escapeSearchValue(value) {
+  return String(value).replace(/[\\:()"'\s]/g, '\\$&');
+}
+
+// Shopify files(query:) search string for the parts of the filters Shopify can
+// evaluate. Alt patterns and non-prefix filename patterns stay client-side.
+function buildFilesQuery(filters) {
+  const terms = [];
+
+  if (filters.pattern !== null && filters.field === 'filename') {
+    const prefix = getLiteralPrefix(filters.patternType, filters.pattern);
+    if (prefix) terms.push(`filename:${escapeSearchValue(prefix)}*`);
+  }
+  if (filters.createdAfter) terms.push(`created_at:>'${filters.createdAfter.toISOString()}'`);
+  if (filters.createdBefore) terms.push(`created_at:<'${filters.createdBefore.toISOString()}'`);
+  if (filters.minSize !== null) terms.push(`original_upload_size:>=${filters.minSize}`);
+  if (filters.maxSize !== null) terms.push(`original_upload_size:<=${filters.maxSize}`);
+  if (filters.mediaType) terms.push(`media_type:${filters.mediaType}`);
+
+  return terms.length ? terms.join(' AND ') : null;
+}
+
+// Full check of one file from listFiles against the filters
+function matchesFileFilters(file, filters) {
+  if (filters.matcher && !filters.matcher(filters.field === 'filename' ? (file.filename || '') : file.alt)) {
+    return false;
+  }
+
+  const createdAt = new Date(file.createdAt);
+  if (filters.createdAfter && !(createdAt > filters.createdAfter)) return false;
+  if (filters.createdBefore && !(createdAt < filters.createdBefore)) return false;
+
+  if (filters.minSize !== null && !(file.size >= filters.minSize)) return false;
+  if (filters.maxSize !== null && !(file.size <= filters.maxSize)) return false;
+
+  if (filters.mediaType && file.mediaType !== filters.mediaType) return false;
+
+  return true;
+}
+
+// Human-readable summary for messages and logs
+function describeFileFilters(filters) {
+  const parts = [];
+  if (filters.pattern !== null) parts.push(`${filters.field} ${filters.patternType} "${filters.pattern}"`);
+  if (filters.createdAfter) parts.push(`created after ${filters.createdAfter.toISOString()}`);
+  if (filters.createdBefore) parts.push(`created before ${filters.createdBefore.toISOString()}`);
+  if (filters.minSize !== null) parts.push(`at least ${filters.minSize} bytes`);
+  if (filters.maxSize !== null) parts.push(`at most ${filters.maxSize} bytes`);
+  if (filters.mediaType) parts.push(`type ${filters.mediaType}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  TYPENAME_MEDIA_TYPES,
+  escapeSearchValue,
+  parseFileFilters,
+  buildFilesQuery,
+  matchesFileFilters,
+  describeFileFilters,
+};
@@ -0,0 +1,236 @@
+// lib/image-validation.js
+// Detects the real image format from its header bytes and checks its pixel dimensions
+
+const { ApiError } = require('./errors');
+
+// Shortest edge needed for a usable print
+const MIN_SHORT_EDGE = parseInt(process.env.MIN_IMAGE_SHORT_EDGE, 10) || 800;
+// Decompression-bomb guard: refuse images that would expand to more pixels than this
+const MAX_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 50000000;
+
+// Bytes needed to read the dimensions of any supported format in practice
+// (JPEG puts up to 64KB of EXIF before the frame header)
+const HEADER_BYTES = 128 * 1024;
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heic: 'image/heic',
+};
+
+// MIME types a client may declare for an allowed image (HEIF is HEIC's container name)
+const ALLOWED_MIME_TYPES = [...Object.values(MIME_TYPES), 'image/heif', 'image/jpg'];
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+// Returns 'jpeg', 'png', 'webp', 'heic' or null
+function sniffImageType(buffer) {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('ascii', 8, 12)];
+    // Compatible brands follow the major brand and minor version
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('ascii', offset, offset + 4));
+    }
+    // mif1 alone is also used by AVIF, so require a HEVC brand somewhere
+    if (brands.some(b => HEIC_BRANDS.includes(b) && b !== 'mif1' && b !== 'msf1')) return 'heic';
+  }
+
+  return null;
+}
+
+function pngDimensions(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+    // Standalone markers without a length
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const b = buffer.slice(21, 25);
+    return {
+      width: 1 + (b[0] | ((b[1] & 0x3F) << 8)),
+      height: 1 + ((b[1] >> 6) | (b[2] << 2) | ((b[3] & 0x0F) << 10)),
+    };
+  }
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+// Walks ISOBMFF boxes, calling visit(type, start, end) for each box in [start, end)
+function walkBoxes(buffer, start, end, visit) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) return;
+    visit(type, offset + header, Math.min(offset + size, end));
+    offset += size;
+  }
+}
+
+// HEIC stores each image's size in an 'ispe' property under meta/iprp/ipco.
+// The primary image is the largest one (the others are thumbnails or tiles).
+function heicDimensions(buffer) {
+  let best = null;
+  walkBoxes(buffer, 0, buffer.length, (type, start, end) => {
+    if (type !== 'meta') return;
+    // meta is a full box: skip version and flags
+    walkBoxes(buffer, start + 4, end, (type2, start2, end2) => {
+      if (type2 !== 'iprp') return;
+      walkBoxes(buffer, start2, end2, (type3, start3, end3) => {
+        if (type3 !== 'ipco') return;
+        walkBoxes(buffer, start3, end3, (type4, start4, end4) => {
+          if (type4 !== 'ispe' || end4 - start4 < 12) return;
+          const width = buffer.readUInt32BE(start4 + 4);
+          const height = buffer.readUInt32BE(start4 + 8);
+          if (!best || width * height > best.width * best.height) {
+            best = { width, height };
+          }
+        });
+      });
+    });
+  });
+  return best;
+}
+
+const DIMENSION_READERS = {
+  jpeg: jpegDimensions,
+  png: pngDimensions,
+  webp: webpDimensions,
+  heic: heicDimensions,
+};
+
+// Returns { width, height } or null when the header cannot be parsed
+function getImageDimensions(buffer, type) {
+  try {
+    const dims = DIMENSION_READERS[type] ? DIMENSION_READERS[type](buffer) : null;
+    return dims && dims.width > 0 && dims.height > 0 ? dims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Checks format, dimensions and pixel budget. Resolves to
+// { type, mimeType, width, height, pixels } or throws an ApiError with a
+// `code` the theme can use to show a message to the shopper.
+function validateImage(buffer) {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new ApiError(415, 'Unsupported image type', {
+      code: 'UNSUPPORTED_IMAGE_TYPE',
+      message: 'Please upload a JPEG, PNG, WebP or HEIC photo.',
+    });
+  }
+
+  const dims = getImageDimensions(buffer, type);
+  if (!dims) {
+    throw new ApiError(422, 'Unreadable image', {
+      code: 'IMAGE_UNREADABLE',
+      message: 'We could not read this photo. Please try a different file.',
+    });
+  }
+
+  const { width, height } = dims;
+  const pixels = width * height;
+
+  if (pixels > MAX_PIXELS) {
+    throw new ApiError(422, 'Image too large', {
+      code: 'IMAGE_TOO_LARGE',
+      message: `This photo is ${width}x${height} pixels, which is more than we can process. Please upload a smaller version.`,
+      details: { width, height, maxPixels: MAX_PIXELS },
+    });
+  }
+
+  if (Math.min(width, height) < MIN_SHORT_EDGE) {
+    throw new ApiError(422, 'Image too small', {
+      code: 'IMAGE_TOO_SMALL',
+      message: `This photo is only ${width}x${height} pixels. Please upload a photo at least ${MIN_SHORT_EDGE} pixels on its shortest side so it prints sharply.`,
+      details: { width, height, minShortEdge: MIN_SHORT_EDGE },
+    });
+  }
+
+  return { type, mimeType: MIME_TYPES[type], width, height, pixels };
+}
+
+// Downloads the first HEADER_BYTES of a file and validates it
+async function validateRemoteImage(url) {
+  const response = await fetch(url, { headers: { Range: `bytes=0-${HEADER_BYTES - 1}` } });
+  if (!response.ok) {
+    throw new Error(`Could not download image header (status ${response.status})`);
+  }
+
+  // Stop reading once we have the header, in case the server ignored the Range
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  while (size < HEADER_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(Buffer.from(value));
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+
+  return validateImage(Buffer.concat(chunks).slice(0, HEADER_BYTES));
+}
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MIN_SHORT_EDGE,
+  MAX_PIXELS,
+  sniffImageType,
+  getImageDimensions,
+  validateImage,
+  validateRemoteImage,
+};
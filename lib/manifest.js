@@ -0,0 +1,172 @@
+// lib/manifest.js
+// Upload manifest: one record per uploaded file in the shared store, linking the
+// file to the shopper's cart and, once the order is paid, to the order
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { getClientIp } = require('./rate-limit');
+const { normalizeFileUrl } = require('./shopify-files');
+const { appendAudit } = require('./audit');
+
+// Records outlive the cleanup window so ops can still look files up afterwards
+const MANIFEST_TTL_MS = (parseInt(process.env.MANIFEST_TTL_DAYS, 10) || 180) * 24 * 60 * 60 * 1000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function recordKey(fileId) {
+  return `upload:file:${fileId}`;
+}
+
+function urlKey(url) {
+  return `upload:url:${sha256(normalizeFileUrl(url))}`;
+}
+
+// IPs are only kept as a keyed hash, enough to group uploads by client
+function hashIp(ip) {
+  const secret = process.env.IP_HASH_SECRET || process.env.UPLOAD_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET || '';
+  return crypto.createHmac('sha256', secret).update(String(ip)).digest('hex');
+}
+
+function hashContent(buffer) {
+  return sha256(buffer);
+}
+
+// Streams a stored file through SHA-256 without holding it in memory.
+// Resolves to { hash, size }.
+async function hashRemoteFile(url) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Could not fetch file (${response.status})`);
+  }
+
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of response.body) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { hash: hash.digest('hex'), size };
+}
+
+// The shopper's Shopify cart token, from the upload token session or the header
+function getCartToken(req, session) {
+  if (session && session.startsWith('cart:')) {
+    return session.slice('cart:'.length);
+  }
+  const header = String(req.headers['x-cart-token'] || '').trim().slice(0, 128);
+  return header || null;
+}
+
+// Saves the manifest record for a new upload and adds it to the audit log.
+// Never fails the upload: a store error is logged and resolves to null.
+async function recordUpload(req, { fileId, url, filename, originalFilename, contentHash, size, mimeType, width, height, crop, session }) {
+  const record = {
+    fileId,
+    url,
+    filename,
+    originalFilename,
+    contentHash: contentHash || null,
+    width: width || null,
+    height: height || null,
+    crop: crop || null,
+    ipHash: hashIp(getClientIp(req)),
+    session: session || null,
+    cartToken: getCartToken(req, session),
+    uploadedAt: new Date().toISOString(),
+    status: 'uploaded',
+  };
+
+  await appendAudit('upload', 'shopper', {
+    fileId,
+    filename,
+    originalFilename,
+    size: size || null,
+    mimeType: mimeType || null,
+    contentHash: record.contentHash,
+    crop: record.crop,
+    ipHash: record.ipHash,
+    session: record.session,
+    cartToken: record.cartToken,
+  });
+
+  try {
+    const store = getStore();
+    await store.set(recordKey(fileId), record, { ttlMs: MANIFEST_TTL_MS });
+    await store.set(urlKey(url), fileId, { ttlMs: MANIFEST_TTL_MS });
+    return record;
+  } catch (err) {
+    console.error('Failed to record upload in manifest:', fileId, err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+async function getUploadRecord(fileId) {
+  return getStore().get(recordKey(fileId));
+}
+
+// Stores the crop the shopper settled on for an earlier upload (the theme
+// block uploads before the crop is final) and adds it to the audit log.
+// Resolves to the updated record.
+async function recordCrop(record, crop) {
+  Object.assign(record, { crop: crop || null, croppedAt: new Date().toISOString() });
+  await getStore().set(recordKey(record.fileId), record, { ttlMs: MANIFEST_TTL_MS });
+  await appendAudit('upload.cropped', 'shopper', { fileId: record.fileId, crop: record.crop, session: record.session });
+  return record;
+}
+
+// Map of fileId -> record for the files that have one
+async function getUploadRecords(fileIds) {
+  const records = await getStore().getMany(fileIds.map(recordKey));
+  return new Map(records.filter(Boolean).map(record => [record.fileId, record]));
+}
+
+async function findUploadByUrl(url) {
+  const fileId = await getStore().get(urlKey(url));
+  return fileId ? getUploadRecord(fileId) : null;
+}
+
+// Marks the uploads behind these file URLs as claimed by a paid order.
+// Resolves to { claimed, unknown } lists of record / URL.
+async function claimUploads(urls, { orderId, orderName }) {
+  const claimed = [];
+  const unknown = [];
+  const newlyClaimed = [];
+
+  for (const url of urls) {
+    const record = await findUploadByUrl(url);
+    if (!record) {
+      unknown.push(url);
+      continue;
+    }
+
+    // Webhooks are retried, so claiming the same order twice is a no-op
+    if (record.status !== 'claimed' || record.orderId !== orderId) {
+      Object.assign(record, { status: 'claimed', orderId, orderName, claimedAt: new Date().toISOString() });
+      await getStore().set(recordKey(record.fileId), record, { ttlMs: MANIFEST_TTL_MS });
+      newlyClaimed.push(record.fileId);
+    }
+    claimed.push(record);
+  }
+
+  // Links the order to its files, e.g. to find who later deleted them
+  if (newlyClaimed.length) {
+    await appendAudit('upload.claimed', 'shopify', { orderId, orderName, fileIds: newlyClaimed });
+  }
+
+  return { claimed, unknown };
+}
+
+module.exports = {
+  MANIFEST_TTL_MS,
+  hashIp,
+  hashContent,
+  hashRemoteFile,
+  recordUpload,
+  getUploadRecord,
+  getUploadRecords,
+  recordCrop,
+  findUploadByUrl,
+  claimUploads,
+};
@@ -0,0 +1,244 @@
+// lib/orders.js
+// Finds the uploaded photo URLs that orders still reference, and lists the
+// photos of orders for export
+
+const { normalizeFileUrl } = require('./shopify-files');
+
+// Multi-photo products (collages, photo books) number their properties:
+// "Custom Photo", "Custom Photo 2" ... "Custom Photo 20", with "Filename 2",
+// "_Crop 2" and so on for each photo after the first
+const MAX_PHOTOS_PER_ITEM = 20;
+
+// The line item property of a 1-based photo number, e.g. ('_Crop', 3) -> '_Crop 3'
+function photoProperty(name, photo) {
+  return photo > 1 ? `${name} ${photo}` : name;
+}
+
+// Line item properties that hold an uploaded photo URL, in photo order
+const PHOTO_PROPERTIES = Array.from({ length: MAX_PHOTOS_PER_ITEM }, (_, i) => photoProperty('Custom Photo', i + 1));
+
+const LINE_ITEMS_FRAGMENT = `
+  fragment photoLineItems on LineItemConnection {
+    edges {
+      node {
+        title
+        quantity
+        customAttributes {
+          key
+          value
+        }
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+`;
+
+const ORDERS_QUERY = `
+  query getOrders($query: String, $first: Int!, $after: String, $sortKey: OrderSortKeys = CREATED_AT, $reverse: Boolean = false) {
+    orders(query: $query, first: $first, after: $after, sortKey: $sortKey, reverse: $reverse) {
+      edges {
+        node {
+          id
+          name
+          createdAt
+          cancelledAt
+          displayFulfillmentStatus
+          lineItems(first: 50) {
+            ...photoLineItems
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+  ${LINE_ITEMS_FRAGMENT}
+`;
+
+const ORDER_LINE_ITEMS_QUERY = `
+  query getOrderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: 250, after: $after) {
+        ...photoLineItems
+      }
+    }
+  }
+  ${LINE_ITEMS_FRAGMENT}
+`;
+
+// Photo URLs from a REST / webhook order payload (properties: [{ name, value }])
+function getOrderPhotoUrls(order) {
+  const urls = [];
+  (order.line_items || []).forEach(item => {
+    (item.properties || []).forEach(prop => {
+      if (PHOTO_PROPERTIES.includes(prop.name) && prop.value) {
+        urls.push(String(prop.value));
+      }
+    });
+  });
+  return Array.from(new Set(urls));
+}
+
+// All of an order's line items. ORDERS_QUERY returns the first 50; the rest
+// are fetched here, since a photo on a line item that is never read would be
+// treated as an orphan and deleted.
+async function getLineItems(client, order) {
+  const items = (order.lineItems?.edges || []).map(({ node }) => node);
+  let pageInfo = order.lineItems?.pageInfo;
+
+  while (pageInfo?.hasNextPage) {
+    const data = await client.request(ORDER_LINE_ITEMS_QUERY, { id: order.id, after: pageInfo.endCursor });
+    const lineItems = data?.order?.lineItems;
+    if (!lineItems) {
+      throw new Error(`Could not read the line items of order ${order.name}`);
+    }
+    lineItems.edges.forEach(({ node }) => items.push(node));
+    pageInfo = lineItems.pageInfo;
+  }
+
+  return items;
+}
+
+// Why an order still needs its photos, or null when it doesn't
+function getRetentionReason(order, recentSince) {
+  if (!order.cancelledAt && order.displayFulfillmentStatus !== 'FULFILLED') {
+    return 'unfulfilled_order';
+  }
+  if (new Date(order.createdAt) >= recentSince) {
+    return 'recent_order';
+  }
+  return null;
+}
+
+// Pages through unfulfilled orders and orders created since `recentSince`.
+// Resolves to a Map of normalized photo URL -> { reason, order } for every
+// photo those orders reference.
+async function collectReferencedPhotos(client, { recentSince }) {
+  const since = recentSince.toISOString();
+  const query = `fulfillment_status:unshipped OR fulfillment_status:partial OR created_at:>='${since}'`;
+  const referenced = new Map();
+
+  let hasNextPage = true;
+  let cursor = null;
+  let orderCount = 0;
+
+  while (hasNextPage) {
+    const data = await client.request(ORDERS_QUERY, { query, first: 50, after: cursor });
+    const edges = data?.orders?.edges || [];
+
+    for (const { node: order } of edges) {
+      orderCount++;
+      const reason = getRetentionReason(order, recentSince);
+      if (!reason) continue;
+
+      (await getLineItems(client, order)).forEach(item => {
+        (item.customAttributes || []).forEach(attr => {
+          if (!PHOTO_PROPERTIES.includes(attr.key) || !attr.value) return;
+          const url = normalizeFileUrl(attr.value);
+          // An unfulfilled order is the stronger reason to keep a photo
+          if (!referenced.has(url) || reason === 'unfulfilled_order') {
+            referenced.set(url, { reason, order: order.name });
+          }
+        });
+      });
+    }
+
+    hasNextPage = data?.orders?.pageInfo?.hasNextPage || false;
+    cursor = data?.orders?.pageInfo?.endCursor || null;
+  }
+
+  console.log(`Checked ${orderCount} orders, ${referenced.size} photos still referenced`);
+  return referenced;
+}
+
+// The number in an order name like "#1001"
+function getOrderNumber(name) {
+  const match = /(\d+)\D*$/.exec(String(name || ''));
+  return match ? Number(match[1]) : null;
+}
+
+// Pages through the orders matching `query`, highest order number first, for
+// export. `fromNumber` / `toNumber` limit the order numbers; cancelled orders
+// are skipped. Resolves to { photos, orderCount, truncated } with one photo
+// per Custom Photo property: { orderId, orderName, orderNumber, createdAt,
+// fulfillmentStatus, lineItem (1-based), photo (the property's number),
+// title, quantity, url, size, description, filename, crop }. `truncated` means more
+// than `maxOrders` orders matched.
+async function listOrderPhotos(client, { query = null, fromNumber = null, toNumber = null, maxOrders = 250 } = {}) {
+  const photos = [];
+  let hasNextPage = true;
+  let cursor = null;
+  let orderCount = 0;
+  let truncated = false;
+
+  while (hasNextPage) {
+    const data = await client.request(ORDERS_QUERY, { query, first: 50, after: cursor, sortKey: 'ORDER_NUMBER', reverse: true });
+    const edges = data?.orders?.edges || [];
+
+    for (const { node: order } of edges) {
+      const number = getOrderNumber(order.name);
+      if (toNumber !== null && number > toNumber) continue;
+      // Sorted by number, so nothing further down is in range
+      if (fromNumber !== null && number < fromNumber) {
+        hasNextPage = false;
+        break;
+      }
+      if (order.cancelledAt) continue;
+      if (orderCount === maxOrders) {
+        truncated = true;
+        hasNextPage = false;
+        break;
+      }
+      orderCount++;
+
+      (await getLineItems(client, order)).forEach((item, index) => {
+        const attrs = {};
+        (item.customAttributes || []).forEach(attr => { attrs[attr.key] = attr.value; });
+
+        PHOTO_PROPERTIES.forEach((key, photoIndex) => {
+          if (!attrs[key]) return;
+          const photo = photoIndex + 1;
+          photos.push({
+            orderId: order.id,
+            orderName: order.name,
+            orderNumber: number,
+            createdAt: order.createdAt,
+            fulfillmentStatus: order.displayFulfillmentStatus,
+            lineItem: index + 1,
+            photo,
+            title: item.title,
+            quantity: item.quantity,
+            url: String(attrs[key]),
+            size: attrs.Size || null,
+            description: attrs.Description || null,
+            filename: attrs[photoProperty('Filename', photo)] || null,
+            crop: attrs[photoProperty('_Crop', photo)] || null,
+          });
+        });
+      });
+    }
+
+    if (hasNextPage) {
+      hasNextPage = data?.orders?.pageInfo?.hasNextPage || false;
+      cursor = data?.orders?.pageInfo?.endCursor || null;
+    }
+  }
+
+  console.log(`Export: ${orderCount} orders, ${photos.length} photos`);
+  return { photos, orderCount, truncated };
+}
+
+module.exports = {
+  MAX_PHOTOS_PER_ITEM,
+  PHOTO_PROPERTIES,
+  photoProperty,
+  getOrderPhotoUrls,
+  getOrderNumber,
+  collectReferencedPhotos,
+  listOrderPhotos,
+};
@@ -0,0 +1,78 @@
+// lib/print-quality.js
+// Rates whether an image has enough pixels for the selected puzzle size
+
+// Printed dimensions in inches for each puzzle size (pieces).
+// Override with PRINT_SIZES, e.g. {"100":{"widthIn":10,"heightIn":14}}
+const DEFAULT_PRINT_SIZES = {
+  50: { widthIn: 8, heightIn: 10 },
+  100: { widthIn: 10, heightIn: 14 },
+  250: { widthIn: 12, heightIn: 16 },
+  300: { widthIn: 14, heightIn: 18 },
+  500: { widthIn: 16, heightIn: 20 },
+};
+
+const GOOD_DPI = parseInt(process.env.PRINT_DPI_GOOD, 10) || 200;
+const ACCEPTABLE_DPI = parseInt(process.env.PRINT_DPI_ACCEPTABLE, 10) || 150;
+
+function loadPrintSizes() {
+  if (!process.env.PRINT_SIZES) return DEFAULT_PRINT_SIZES;
+  try {
+    return JSON.parse(process.env.PRINT_SIZES);
+  } catch (err) {
+    console.error('PRINT_SIZES is not valid JSON, using defaults:', err.message);
+    return DEFAULT_PRINT_SIZES;
+  }
+}
+
+const PRINT_SIZES = loadPrintSizes();
+
+// Accepts "100", 100 or "100 pieces" and returns the table entry key
+function normalizeSize(size) {
+  const match = String(size == null ? '' : size).match(/\d+/);
+  return match ? match[0] : null;
+}
+
+function getPrintSize(size) {
+  const key = normalizeSize(size);
+  return key && PRINT_SIZES[key] ? { key, ...PRINT_SIZES[key] } : null;
+}
+
+// Returns { rating, dpi, size, printWidthIn, printHeightIn, recommendedDpi }
+// or null when the size is unknown. Orientation does not matter: the long
+// edge of the photo is matched to the long edge of the print.
+function ratePrintQuality(width, height, size) {
+  const printSize = getPrintSize(size);
+  if (!printSize || !width || !height) return null;
+
+  const pxLong = Math.max(width, height);
+  const pxShort = Math.min(width, height);
+  const inLong = Math.max(printSize.widthIn, printSize.heightIn);
+  const inShort = Math.min(printSize.widthIn, printSize.heightIn);
+
+  // The print is cropped to fill, so the tighter edge decides the sharpness
+  const dpi = Math.floor(Math.min(pxLong / inLong, pxShort / inShort));
+
+  let rating = 'low';
+  if (dpi >= GOOD_DPI) {
+    rating = 'good';
+  } else if (dpi >= ACCEPTABLE_DPI) {
+    rating = 'acceptable';
+  }
+
+  return {
+    rating,
+    dpi,
+    size: printSize.key,
+    printWidthIn: printSize.widthIn,
+    printHeightIn: printSize.heightIn,
+    recommendedDpi: GOOD_DPI,
+  };
+}
+
+module.exports = {
+  PRINT_SIZES,
+  GOOD_DPI,
+  ACCEPTABLE_DPI,
+  getPrintSize,
+  ratePrintQuality,
+};
@@ -0,0 +1,173 @@
+// lib/purge.js
+// Scheduled retention purge: deletes quarantined files past their grace period
+// and CP_ uploads that findOrphans says no order needs any more, through
+// cleanup jobs, and keeps a summary of every run.
+
+const crypto = require('crypto');
+const { findOrphans } = require('./cleanup');
+const { createJob, getJob, runJobSlice, setJobPaused } = require('./cleanup-jobs');
+const { listQuarantined } = require('./quarantine');
+const { ApiError } = require('./errors');
+const { getStore } = require('./store');
+const { appendAudit } = require('./audit');
+
+// Retention policy, defaulting to the orphan cleanup settings
+const PURGE_MIN_AGE_DAYS = parseInt(process.env.PURGE_MIN_AGE_DAYS, 10) || undefined;
+const PURGE_RECENT_ORDER_DAYS = parseInt(process.env.PURGE_RECENT_ORDER_DAYS, 10) || undefined;
+// Upper bound on files deleted per run, oldest first
+const PURGE_MAX_FILES = parseInt(process.env.PURGE_MAX_FILES, 10) || 1000;
+// Record what would be deleted without deleting anything
+const PURGE_DRY_RUN = process.env.PURGE_DRY_RUN === 'true';
+
+// Run summaries kept for /api/purge-runs
+const MAX_RUNS = 100;
+const RUNS_KEY = 'purge-runs';
+// The jobs of the last run, so unfinished ones can be superseded
+const LAST_JOBS_KEY = 'purge-last-jobs';
+// Guards against overlapping invocations of the cron route
+const LOCK_KEY = 'purge-lock';
+const LOCK_TTL_MS = 2 * 60 * 1000;
+
+function countBy(items, key) {
+  return items.reduce((counts, item) => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+async function recordRun(run) {
+  const store = getStore();
+  const runs = (await store.get(RUNS_KEY)) || [];
+  await store.set(RUNS_KEY, [run, ...runs].slice(0, MAX_RUNS));
+}
+
+// Newest first
+async function listPurgeRuns(limit = MAX_RUNS) {
+  return ((await getStore().get(RUNS_KEY)) || []).slice(0, limit);
+}
+
+// Leftovers of the previous run's jobs are either picked up again by this
+// run's scan or no longer eligible, so those jobs are paused rather than resumed
+async function supersedeLastJobs() {
+  const superseded = [];
+
+  for (const id of (await getStore().get(LAST_JOBS_KEY)) || []) {
+    const job = await getJob(id);
+    if (!job || !['pending', 'running'].includes(job.state)) continue;
+
+    try {
+      await setJobPaused(id, true);
+      console.log(`Purge: paused unfinished job ${id} from the previous run`);
+      superseded.push(id);
+    } catch (err) {
+      console.warn(`Purge: could not pause job ${id}:`, err.message);
+    }
+  }
+
+  return superseded;
+}
+
+// Creates a job and runs it until the deadline. Resolves to the job.
+async function startJob(client, details, deadline) {
+  const job = await createJob({ ...details, createdBy: 'cron' });
+  await appendAudit('removal.requested', 'cron', {
+    jobId: job.id,
+    action: job.action,
+    mode: job.mode,
+    description: job.description,
+    matchedIds: job.fileIds,
+    fileIds: job.fileIds,
+  });
+  return runJobSlice(client, job.id, { budgetMs: Math.max(0, deadline - Date.now()) });
+}
+
+// One purge run: deletes the expired quarantine, then scans for orphans and
+// deletes up to PURGE_MAX_FILES of them, as much as fits in `budgetMs`.
+// Resolves to the run summary, which is also recorded. Throws ApiError 409
+// when another run is in progress.
+async function runPurge(client, { budgetMs, dryRun = PURGE_DRY_RUN } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const store = getStore();
+  if (!(await store.setIfAbsent(LOCK_KEY, Date.now(), { ttlMs: LOCK_TTL_MS }))) {
+    throw new ApiError(409, 'Purge already running', { message: 'Another purge run is in progress' });
+  }
+
+  const run = {
+    id: crypto.randomBytes(8).toString('hex'),
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    state: 'running',
+  };
+
+  try {
+    if (!dryRun) {
+      const superseded = await supersedeLastJobs();
+      if (superseded.length) run.supersededJobIds = superseded;
+    }
+
+    const trash = (await listQuarantined(client)).filter(file => file.expired).slice(0, PURGE_MAX_FILES);
+    const scan = await findOrphans(client, { minAgeDays: PURGE_MIN_AGE_DAYS, recentOrderDays: PURGE_RECENT_ORDER_DAYS });
+    const selected = scan.orphans.slice(0, PURGE_MAX_FILES);
+
+    Object.assign(run, {
+      minAgeDays: scan.minAgeDays,
+      recentOrderDays: scan.recentOrderDays,
+      quarantineExpired: trash.length,
+      orphansFound: scan.orphans.length,
+      selected: selected.length,
+      remaining: scan.orphans.length - selected.length,
+      kept: countBy(scan.kept, 'reason'),
+    });
+
+    if (dryRun) {
+      run.state = 'dry_run';
+      run.wouldDelete = [...trash, ...selected].slice(0, 50).map(file => ({ id: file.id, alt: file.alt, createdAt: file.createdAt }));
+      return run;
+    }
+
+    const jobs = [];
+    if (trash.length) {
+      jobs.push(await startJob(client, {
+        fileIds: trash.map(file => file.id),
+        action: 'purge_quarantine',
+        mode: 'purge',
+        description: 'scheduled purge of expired quarantine',
+      }, deadline));
+    }
+    // Only start on the orphans once the quarantine is done
+    if (selected.length && jobs.every(job => job.state === 'done')) {
+      jobs.push(await startJob(client, {
+        fileIds: selected.map(file => file.id),
+        mode: 'purge',
+        description: `scheduled purge of orphans older than ${scan.minAgeDays} days`,
+      }, deadline));
+    }
+    await store.set(LAST_JOBS_KEY, jobs.map(job => job.id));
+
+    const unfinished = jobs.find(job => job.state !== 'done');
+    run.state = unfinished ? unfinished.state : 'done';
+    run.jobIds = jobs.map(job => job.id);
+    run.deleted = jobs.reduce((sum, job) => sum + job.deleted, 0);
+    run.failed = jobs.reduce((sum, job) => sum + job.failed, 0);
+    const errors = jobs.map(job => job.error).filter(Boolean);
+    if (errors.length) run.error = errors.join('; ');
+  } catch (err) {
+    run.state = 'failed';
+    run.error = err.details ? JSON.stringify(err.details) : err.message;
+    throw err;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    await recordRun(run);
+    await store.del(LOCK_KEY);
+    await appendAudit('purge.run', 'cron', run);
+    console.log('Purge run:', run);
+  }
+
+  return run;
+}
+
+module.exports = {
+  runPurge,
+  listPurgeRuns,
+};
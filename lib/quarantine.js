@@ -0,0 +1,109 @@
+// lib/quarantine.js
+// Soft delete: quarantined files keep their URL but get their alt prefixed with
+// TRASH_<timestamp>_, so they can be restored until the grace period is over
+// and the purge deletes them for good.
+
+const { listFiles } = require('./cleanup');
+const { getFileAlts, updateFileAlts, deleteFiles } = require('./shopify-files');
+
+const TRASH_PREFIX = 'TRASH_';
+// TRASH_<quarantined at, ms since epoch>_<original alt>
+const TRASH_ALT_PATTERN = /^TRASH_(\d+)_([\s\S]*)$/;
+
+// Days a quarantined file can be restored before it is purged
+const QUARANTINE_GRACE_DAYS = parseInt(process.env.QUARANTINE_GRACE_DAYS, 10) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trashAlt(alt, now = Date.now()) {
+  return `${TRASH_PREFIX}${now}_${alt}`;
+}
+
+// { quarantinedAt, originalAlt }, or null when the alt is not a trash alt
+function parseTrashAlt(alt) {
+  const match = TRASH_ALT_PATTERN.exec(alt || '');
+  return match ? { quarantinedAt: Number(match[1]), originalAlt: match[2] } : null;
+}
+
+// Moves files to the trash. Files that are gone or already quarantined are
+// left alone. Resolves to the quarantined IDs; throws ShopifyError.
+async function quarantineFiles(client, fileIds) {
+  const alts = await getFileAlts(client, fileIds);
+  const now = Date.now();
+  const updates = [];
+  alts.forEach((alt, id) => {
+    if (!parseTrashAlt(alt)) updates.push({ id, alt: trashAlt(alt, now) });
+  });
+
+  return updates.length ? updateFileAlts(client, updates) : [];
+}
+
+// Puts quarantined files back under their original alt.
+// Resolves to { restored: [id], skipped: [{ id, reason }] }.
+async function restoreFiles(client, fileIds) {
+  const alts = await getFileAlts(client, fileIds);
+  const updates = [];
+  const skipped = [];
+
+  fileIds.forEach(id => {
+    const trash = alts.has(id) ? parseTrashAlt(alts.get(id)) : null;
+    if (!alts.has(id)) {
+      skipped.push({ id, reason: 'not_found' });
+    } else if (!trash) {
+      skipped.push({ id, reason: 'not_quarantined' });
+    } else {
+      updates.push({ id, alt: trash.originalAlt });
+    }
+  });
+
+  const restored = updates.length ? await updateFileAlts(client, updates) : [];
+  return { restored, skipped };
+}
+
+function isExpired(trash, graceDays = QUARANTINE_GRACE_DAYS, now = Date.now()) {
+  return now > trash.quarantinedAt + graceDays * DAY_MS;
+}
+
+// Permanently deletes the files that are still quarantined and past the grace
+// period; anything restored in the meantime is left alone. Resolves to the
+// deleted IDs; throws ShopifyError.
+async function purgeQuarantined(client, fileIds) {
+  const alts = await getFileAlts(client, fileIds);
+  const expired = [];
+  alts.forEach((alt, id) => {
+    const trash = parseTrashAlt(alt);
+    if (trash && isExpired(trash)) expired.push(id);
+  });
+
+  return expired.length ? deleteFiles(client, expired) : [];
+}
+
+// Every quarantined file, oldest first, with when it becomes purgeable
+async function listQuarantined(client, { graceDays = QUARANTINE_GRACE_DAYS } = {}) {
+  const now = Date.now();
+  const files = [];
+
+  (await listFiles(client)).forEach(file => {
+    const trash = parseTrashAlt(file.alt);
+    if (!trash) return;
+    files.push({
+      ...file,
+      originalAlt: trash.originalAlt,
+      quarantinedAt: new Date(trash.quarantinedAt).toISOString(),
+      purgeAfter: new Date(trash.quarantinedAt + graceDays * DAY_MS).toISOString(),
+      expired: isExpired(trash, graceDays, now),
+    });
+  });
+
+  files.sort((a, b) => new Date(a.quarantinedAt) - new Date(b.quarantinedAt));
+  return files;
+}
+
+module.exports = {
+  QUARANTINE_GRACE_DAYS,
+  parseTrashAlt,
+  quarantineFiles,
+  restoreFiles,
+  purgeQuarantined,
+  listQuarantined,
+};
@@ -0,0 +1,182 @@
+// lib/rate-limit.js
+// Upload rate limiting by IP, cart/customer and shop, shared by the upload routes
+
+const { getStore } = require('./store');
+
+// Sliding window: at most `limit` uploads in any RATE_WINDOW period, per dimension.
+// Counts live in the shared store (Redis/KV when configured), so the limits
+// hold across serverless instances and cold starts.
+const RATE_WINDOW = (parseInt(process.env.UPLOAD_RATE_WINDOW_SECONDS, 10) || 60 * 60) * 1000;
+
+// Limits are checked in this order. The IP limit is higher than the cart limit
+// so shoppers sharing a carrier NAT don't block each other; the shop ceiling
+// caps the total when an abuser rotates IPs and cart tokens. The cart limit is
+// advisory: anonymous shoppers pick their own cart token and can get a token
+// for a new one at any time, so the IP and shop limits are the real protection.
+const LIMITS = {
+  ip: {
+    header: 'IP',
+    limit: parseInt(process.env.UPLOAD_RATE_LIMIT_IP || process.env.UPLOAD_RATE_LIMIT, 10) || 100,
+    message: (limit, window, resetIn) => `Too many uploads from your network: the maximum is ${limit} per ${window}. Please try again in ${resetIn} minutes.`,
+  },
+  cart: {
+    header: 'Cart',
+    limit: parseInt(process.env.UPLOAD_RATE_LIMIT_CART, 10) || 50,
+    message: (limit, window, resetIn) => `You have exceeded the maximum of ${limit} uploads per ${window}. Please try again in ${resetIn} minutes.`,
+  },
+  shop: {
+    header: 'Shop',
+    limit: parseInt(process.env.UPLOAD_RATE_LIMIT_SHOP, 10) || 2000,
+    message: (limit, window, resetIn) => `The store is receiving too many uploads right now. Please try again in ${resetIn} minutes.`,
+  },
+};
+
+// Kept for callers that only care about the per-shopper limit
+const RATE_LIMIT = LIMITS.cart.limit;
+
+// Response headers set by enforceRateLimit, for Access-Control-Expose-Headers
+const RATE_LIMIT_HEADERS = [
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  ...Object.values(LIMITS).flatMap(({ header }) =>
+    ['Limit', 'Remaining', 'Reset', 'Retry-After'].map(name => `X-RateLimit-${name}-${header}`)),
+];
+
+function getRateLimitKey(dimension, id) {
+  return `ratelimit:${dimension}:${id}`;
+}
+
+// "hour", "15 minutes", ... for messages
+function describeWindow(windowMs) {
+  const minutes = Math.round(windowMs / 60000);
+  if (minutes === 60) return 'hour';
+  if (minutes % 60 === 0) return `${minutes / 60} hours`;
+  return minutes === 1 ? 'minute' : `${minutes} minutes`;
+}
+
+function toLimitResult(dimension, result) {
+  const { limit } = LIMITS[dimension];
+  const resetSeconds = Math.ceil(result.resetMs / 1000);
+
+  if (!result.allowed) {
+    const timeRemaining = Math.max(1, Math.ceil(resetSeconds / 60)); // minutes
+    return { dimension, limit, allowed: false, remaining: 0, resetSeconds, resetIn: timeRemaining };
+  }
+
+  return { dimension, limit, allowed: true, remaining: Math.max(0, limit - result.count), resetSeconds };
+}
+
+async function checkRateLimit(dimension, id) {
+  const { limit } = LIMITS[dimension];
+  const result = await getStore().slidingWindow(getRateLimitKey(dimension, id), { limit, windowMs: RATE_WINDOW });
+  return toLimitResult(dimension, result);
+}
+
+// Checks every subject's limit in one step. The upload is only counted when
+// all of them allow it, so a client blocked by its IP or cart limit does not
+// use up the shop-wide window for everyone else.
+async function checkRateLimits(subjects) {
+  const { results } = await getStore().slidingWindows(
+    subjects.map(s => ({ key: getRateLimitKey(s.dimension, s.id), limit: LIMITS[s.dimension].limit })),
+    { windowMs: RATE_WINDOW }
+  );
+  return results.map((result, i) => toLimitResult(subjects[i].dimension, result));
+}
+
+// Get client IP address
+function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0].trim() ||
+         req.headers['x-real-ip'] ||
+         req.connection?.remoteAddress ||
+         'unknown';
+}
+
+// Shopper identity sent by the theme: the customer ID when logged in,
+// otherwise the Shopify cart token. Returns null when neither is present.
+function getCartIdentity(req) {
+  const clean = value => String(value || '').trim().replace(/[^A-Za-z0-9_\-:?=]/g, '').slice(0, 128);
+  const customerId = clean(req.headers['x-customer-id']);
+  if (customerId) return `customer:${customerId}`;
+  const cartToken = clean(req.headers['x-cart-token']);
+  if (cartToken) return `cart:${cartToken}`;
+  return null;
+}
+
+// The identities this request is limited by, in LIMITS order. `session` is
+// the verified identity from an upload token and wins over the headers.
+function getRateLimitSubjects(req, shop, session) {
+  const subjects = [{ dimension: 'ip', id: getClientIp(req) }];
+  const cart = session || getCartIdentity(req);
+  if (cart) subjects.push({ dimension: 'cart', id: cart });
+  subjects.push({ dimension: 'shop', id: shop || process.env.SHOPIFY_SHOP || 'default' });
+  return subjects;
+}
+
+function setRateLimitHeaders(res, results) {
+  results.forEach(result => {
+    const name = LIMITS[result.dimension].header;
+    res.setHeader(`X-RateLimit-Limit-${name}`, result.limit.toString());
+    res.setHeader(`X-RateLimit-Remaining-${name}`, result.remaining.toString());
+    res.setHeader(`X-RateLimit-Reset-${name}`, result.resetSeconds.toString());
+    if (!result.allowed) {
+      res.setHeader(`X-RateLimit-Retry-After-${name}`, result.resetSeconds.toString());
+    }
+  });
+
+  // Unsuffixed headers describe whichever limit is closest to running out
+  const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  res.setHeader('X-RateLimit-Limit', tightest.limit.toString());
+  res.setHeader('X-RateLimit-Remaining', tightest.remaining.toString());
+}
+
+// Checks every limit for the request, sets the X-RateLimit-* headers and
+// sends the 429 response. Resolves to true when the request may continue.
+async function enforceRateLimit(req, res, { shop, session } = {}) {
+  const subjects = getRateLimitSubjects(req, shop, session);
+  console.log('Request from:', subjects.map(s => `${s.dimension}=${s.id}`).join(' '));
+
+  // Check rate limits. If the store is unreachable, let the upload through
+  // rather than blocking every customer.
+  let results;
+  try {
+    results = await checkRateLimits(subjects);
+  } catch (err) {
+    console.error('Rate limit check failed, allowing request:', err && err.message ? err.message : err);
+    return true;
+  }
+
+  setRateLimitHeaders(res, results);
+
+  const blocked = results.filter(r => !r.allowed);
+  if (blocked.length) {
+    // Report the limit that stays closed the longest
+    const worst = blocked.reduce((a, b) => (b.resetSeconds > a.resetSeconds ? b : a));
+    const subject = subjects.find(s => s.dimension === worst.dimension);
+    console.warn(`Rate limit exceeded for ${worst.dimension}: ${subject.id}, reset in ${worst.resetIn} minutes`);
+
+    res.setHeader('Retry-After', worst.resetSeconds.toString());
+    res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded',
+      limit: worst.dimension,
+      message: LIMITS[worst.dimension].message(worst.limit, describeWindow(RATE_WINDOW), worst.resetIn),
+      resetIn: worst.resetIn
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  LIMITS,
+  RATE_LIMIT,
+  RATE_WINDOW,
+  RATE_LIMIT_HEADERS,
+  checkRateLimit,
+  checkRateLimits,
+  getClientIp,
+  getCartIdentity,
+  enforceRateLimit,
+};
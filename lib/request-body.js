@@ -0,0 +1,225 @@
+// lib/request-body.js
+// Reads an uploaded image from JSON (base64 data URL), multipart/form-data or raw image/* bodies
+
+const { ApiError } = require('./errors');
+
+// Same ceiling as the old 12mb bodyParser limit
+const MAX_BODY_BYTES = 12 * 1024 * 1024;
+
+// Multipart fields that may carry the image
+const FILE_FIELDS = ['image', 'file'];
+
+function getContentType(req) {
+  return String(req.headers['content-type'] || '').toLowerCase();
+}
+
+// Collects the raw request body, failing with 413 once it exceeds maxBytes
+function readRawBody(req, maxBytes = MAX_BODY_BYTES) {
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > maxBytes) {
+      return Promise.reject(new ApiError(413, 'File too large', { message: `Uploads must be smaller than ${Math.round(maxBytes / 1024 / 1024)} MB` }));
+    }
+    return Promise.resolve(req.body);
+  }
+
+  // Nothing left to read: waiting for 'end' would hang until the function times out
+  if (req.readableEnded) {
+    return Promise.reject(new ApiError(400, 'Request body already consumed', { message: 'Turn off the bodyParser for this route' }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        reject(new ApiError(413, 'File too large', { message: `Uploads must be smaller than ${Math.round(maxBytes / 1024 / 1024)} MB` }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function getBoundary(contentType) {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0) {
+      headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+  });
+  return headers;
+}
+
+function getDispositionParam(disposition, param) {
+  const match = disposition.match(new RegExp(`(?:^|;)\\s*${param}="([^"]*)"`, 'i'));
+  return match ? match[1] : null;
+}
+
+// Minimal multipart/form-data parser. Returns { fields, files } where each
+// file is { name, filename, contentType, data }.
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = buffer.indexOf(delimiter);
+  if (start === -1) {
+    throw new ApiError(400, 'Invalid multipart body', { details: 'boundary not found' });
+  }
+
+  while (start !== -1) {
+    let partStart = start + delimiter.length;
+    // Closing delimiter "--boundary--"
+    if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+    partStart += 2; // skip CRLF after the delimiter
+
+    const next = buffer.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    // Part content ends with CRLF before the next delimiter
+    const part = buffer.slice(partStart, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = parsePartHeaders(part.slice(0, headerEnd).toString('utf8'));
+      const disposition = headers['content-disposition'] || '';
+      const name = getDispositionParam(disposition, 'name');
+      const filename = getDispositionParam(disposition, 'filename');
+      const data = part.slice(headerEnd + 4);
+
+      if (filename !== null) {
+        files.push({ name, filename, contentType: headers['content-type'] || 'application/octet-stream', data });
+      } else if (name) {
+        fields[name] = data.toString('utf8');
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+// Legacy contract: { filename, image: 'data:image/...;base64,...' }
+function parseJsonUpload(body) {
+  const { filename, image, ...fields } = body || {};
+
+  if (!filename || !image) {
+    throw new ApiError(400, 'Missing filename or image data');
+  }
+
+  // Validate base64 image data
+  if (!image.startsWith('data:image/')) {
+    throw new ApiError(400, 'Invalid image format');
+  }
+
+  // Extract base64 data and content type
+  const matches = image.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    throw new ApiError(400, 'Invalid base64 format');
+  }
+
+  return { filename, contentType: matches[1], buffer: Buffer.from(matches[2], 'base64'), fields };
+}
+
+async function parseMultipartUpload(req, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary) {
+    throw new ApiError(400, 'Invalid multipart body', { details: 'missing boundary' });
+  }
+
+  const { fields, files } = parseMultipart(await readRawBody(req), boundary);
+  const file = files.find(f => FILE_FIELDS.includes(f.name)) || files[0];
+
+  if (!file || !file.data.length) {
+    throw new ApiError(400, 'Missing filename or image data');
+  }
+
+  const filename = fields.filename || file.filename;
+  if (!filename) {
+    throw new ApiError(400, 'Missing filename or image data');
+  }
+
+  if (!file.contentType.toLowerCase().startsWith('image/')) {
+    throw new ApiError(400, 'Invalid image format');
+  }
+
+  return { filename, contentType: file.contentType, buffer: file.data, fields };
+}
+
+// Raw image body with the filename in the X-Filename header (URI-encoded)
+// and the optional puzzle size and crop in X-Print-Size / X-Print-Crop
+async function parseRawUpload(req, contentType) {
+  let filename = req.headers['x-filename'];
+  try {
+    filename = filename && decodeURIComponent(filename);
+  } catch (err) {
+    throw new ApiError(400, 'Invalid X-Filename header');
+  }
+
+  if (!filename) {
+    throw new ApiError(400, 'Missing filename or image data', { message: 'Send the filename in the X-Filename header' });
+  }
+
+  const buffer = await readRawBody(req);
+  if (!buffer.length) {
+    throw new ApiError(400, 'Missing filename or image data');
+  }
+
+  const fields = {};
+  if (req.headers['x-print-size']) {
+    fields.size = req.headers['x-print-size'];
+  }
+  if (req.headers['x-print-crop']) {
+    fields.crop = req.headers['x-print-crop'];
+  }
+
+  return { filename, contentType: contentType.split(';')[0].trim(), buffer, fields };
+}
+
+// The route turns off Vercel's bodyParser so multipart and image/* bodies
+// arrive unread; JSON is parsed here, within the same size limit
+async function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+
+  const raw = await readRawBody(req);
+  try {
+    return JSON.parse(raw.toString('utf8') || '{}');
+  } catch (err) {
+    throw new ApiError(400, 'Invalid JSON body');
+  }
+}
+
+// Resolves to { filename, contentType, buffer, fields } or throws ApiError
+async function parseUploadRequest(req) {
+  const contentType = getContentType(req);
+
+  if (contentType.startsWith('multipart/form-data')) {
+    return parseMultipartUpload(req, contentType);
+  }
+
+  if (contentType.startsWith('image/')) {
+    return parseRawUpload(req, contentType);
+  }
+
+  return parseJsonUpload(await readJsonBody(req));
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  readRawBody,
+  parseMultipart,
+  parseUploadRequest,
+};
@@ -0,0 +1,347 @@
+// lib/shopify-files.js
+// Staged upload, fileCreate and processing-poll steps shared by the upload routes
+
+const { ShopifyError } = require('./shopify');
+const { ApiError } = require('./errors');
+
+// Prefix added to every customer upload for easy identification and cleanup
+const UPLOAD_PREFIX = 'CP_';
+
+// Hosts Shopify hands out staged upload targets on
+const STAGED_UPLOAD_HOSTS = ['shopify-staged-uploads.storage.googleapis.com'];
+// Host Shopify serves uploaded files from
+const FILE_CDN_HOSTS = ['cdn.shopify.com'];
+
+const STAGED_UPLOAD_MUTATION = `
+  mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters {
+          name
+          value
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const FILE_CREATE_MUTATION = `
+  mutation fileCreate($files: [FileCreateInput!]!) {
+    fileCreate(files: $files) {
+      files {
+        __typename
+        ... on GenericFile {
+          id
+          url
+          alt
+        }
+        ... on MediaImage {
+          id
+          status
+          image {
+            url
+          }
+          alt
+        }
+        ... on Video {
+          id
+          sources {
+            url
+          }
+        }
+        ... on Model3d {
+          id
+          sources {
+            url
+          }
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FILE_DELETE_MUTATION = `
+  mutation fileDelete($fileIds: [ID!]!) {
+    fileDelete(fileIds: $fileIds) {
+      deletedFileIds
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const FILE_UPDATE_MUTATION = `
+  mutation fileUpdate($files: [FileUpdateInput!]!) {
+    fileUpdate(files: $files) {
+      files {
+        id
+        alt
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const FILE_ALTS_QUERY = `
+  query getFileAlts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on File {
+        id
+        alt
+      }
+    }
+  }
+`;
+
+const FILE_STATUS_QUERY = `
+  query getFileStatus($id: ID!) {
+    node(id: $id) {
+      __typename
+      ... on MediaImage {
+        id
+        status
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+function prefixFilename(filename) {
+  return `${UPLOAD_PREFIX}${filename}`;
+}
+
+// CDN URLs get a ?v= cache buster, so compare them without the query string
+function normalizeFileUrl(url) {
+  return String(url || '').split(/[?#]/)[0];
+}
+
+// Step 1: ask Shopify for a staged upload target.
+// httpMethod 'PUT' sends parameters as headers (server-side upload),
+// 'POST' expects a multipart form with parameters as fields (browser upload).
+async function createStagedTarget(client, { filename, mimeType, fileSize, httpMethod = 'PUT' }) {
+  const variables = {
+    input: [
+      {
+        filename,
+        mimeType,
+        resource: 'IMAGE',
+        fileSize: String(fileSize),
+        httpMethod,
+      },
+    ],
+  };
+
+  let payload;
+  try {
+    payload = await client.mutate('stagedUploadsCreate', STAGED_UPLOAD_MUTATION, variables);
+  } catch (err) {
+    if (!(err instanceof ShopifyError)) throw err;
+    console.error('stagedUploadsCreate failed', err.type, err.details);
+    throw new ApiError(500, 'Failed to create staged upload', { details: err.details });
+  }
+
+  const stagedTarget = payload.stagedTargets && payload.stagedTargets[0];
+  if (!stagedTarget || !stagedTarget.url) {
+    console.error('No staged target in response', payload);
+    throw new ApiError(500, 'Failed to create staged upload', { details: 'no staged target returned' });
+  }
+
+  return stagedTarget;
+}
+
+// True when resourceUrl points at Shopify's staged upload storage, so
+// fileCreate cannot be used to import arbitrary external URLs
+function isStagedResourceUrl(resourceUrl) {
+  try {
+    const url = new URL(resourceUrl);
+    return url.protocol === 'https:' && STAGED_UPLOAD_HOSTS.includes(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// True when url is a file on Shopify's CDN. Order properties are written by
+// the shopper, so only these URLs are ever fetched server-side.
+function isShopifyCdnUrl(fileUrl) {
+  try {
+    const url = new URL(fileUrl);
+    return url.protocol === 'https:' && FILE_CDN_HOSTS.includes(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Polling function to wait for MediaImage processing
+async function pollForMediaReady(client, fileId, maxWaitMs = 15000, pollIntervalMs = 1000) {
+  const startTime = Date.now();
+  const endTime = startTime + maxWaitMs;
+
+  while (Date.now() < endTime) {
+    try {
+      console.log(`Polling for media status, fileId: ${fileId}, time elapsed: ${Date.now() - startTime}ms`);
+
+      const statusData = await client.request(FILE_STATUS_QUERY, { id: fileId });
+
+      const media = statusData?.node;
+      if (!media) {
+        console.error('Media not found for status check:', statusData);
+        throw new Error('Media not found');
+      }
+
+      console.log(`Media status: ${media.status}`);
+
+      if (media.status === 'READY') {
+        if (media.image && media.image.url) {
+          console.log('Media ready with URL:', media.image.url);
+          return { success: true, url: media.image.url, fileId: media.id };
+        } else {
+          console.error('Media marked as READY but no URL available:', media);
+          throw new Error('Media ready but no URL available');
+        }
+      }
+
+      if (media.status === 'FAILED') {
+        console.error('Media processing failed:', media);
+        throw new Error('Media processing failed');
+      }
+
+      // Wait before next poll
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+
+    } catch (error) {
+      if (error instanceof ShopifyError) {
+        console.error('Status check query errors:', error.details);
+        throw new Error('Failed to check media status');
+      }
+      console.error('Error during polling:', error);
+      throw error;
+    }
+  }
+
+  // Timeout reached
+  console.error(`Polling timeout reached after ${maxWaitMs}ms for fileId: ${fileId}`);
+  throw new Error(`Media processing timeout: Shopify did not complete processing within ${maxWaitMs / 1000} seconds. The image may still be processing in the background.`);
+}
+
+// Steps 3 and 4: create the file from a staged resource URL and wait until it
+// has a public URL. Resolves to { url, fileId, message }, throws ApiError.
+async function createFileFromStaged(client, { alt, resourceUrl, maxWaitMs }) {
+  const fileCreateVariables = { files: [{ alt, contentType: 'IMAGE', originalSource: resourceUrl }] };
+
+  console.log('stagedTarget.resourceUrl:', resourceUrl);
+  console.log('fileCreateVariables:', fileCreateVariables);
+
+  let filePayload;
+  try {
+    filePayload = await client.mutate('fileCreate', FILE_CREATE_MUTATION, fileCreateVariables);
+  } catch (err) {
+    if (!(err instanceof ShopifyError)) throw err;
+    console.error('fileCreate errors', err.type, err.details);
+    throw new ApiError(500, 'Failed to create file in Shopify', { details: err.details });
+  }
+
+  const createdFile = filePayload.files && filePayload.files[0];
+  if (!createdFile) {
+    console.error('fileCreate returned no file', filePayload);
+    throw new ApiError(500, 'Failed to create file in Shopify', { details: 'no file returned' });
+  }
+
+  console.log('fileCreate full response:', JSON.stringify(filePayload, null, 2));
+  console.log('createdFile.__typename:', createdFile.__typename);
+  console.log('createdFile.status:', createdFile.status);
+
+  // Handle different file types
+  if (createdFile.__typename === 'GenericFile') {
+    if (createdFile.url) {
+      console.log('GenericFile upload successful:', { url: createdFile.url });
+      return { url: createdFile.url, fileId: createdFile.id, message: 'File uploaded successfully' };
+    }
+    console.error('GenericFile created but no URL available', createdFile);
+    throw new ApiError(500, 'File created but no URL available', { details: 'GenericFile was created but URL is not available' });
+  }
+
+  // For MediaImage, poll until ready or timeout
+  if (createdFile.__typename === 'MediaImage') {
+    try {
+      console.log('MediaImage created, starting polling for readiness...');
+      const pollResult = await pollForMediaReady(client, createdFile.id, maxWaitMs);
+
+      console.log('Polling successful, returning URL:', pollResult.url);
+      return { url: pollResult.url, fileId: pollResult.fileId, message: 'Image uploaded and processed successfully' };
+    } catch (pollError) {
+      console.error('Polling failed:', pollError.message);
+      throw new ApiError(500, 'Image processing timeout', {
+        details: pollError.message,
+        fileId: createdFile.id,
+        status: createdFile.status,
+      });
+    }
+  }
+
+  // Handle other media types (Video, Model3d)
+  let fileUrl = null;
+  if ((createdFile.__typename === 'Video' || createdFile.__typename === 'Model3d') && createdFile.sources && createdFile.sources.length > 0) {
+    fileUrl = createdFile.sources[0].url;
+  }
+
+  if (fileUrl) {
+    console.log('Upload successful:', { url: fileUrl });
+    return { url: fileUrl, fileId: createdFile.id, message: 'File uploaded successfully' };
+  }
+
+  console.error('No URL found in created file', createdFile);
+  throw new ApiError(500, 'File created but no URL available', { details: 'File was created in Shopify but URL is not accessible' });
+}
+
+// Deletes files by ID, returning the IDs Shopify reports as deleted.
+// Throws ShopifyError on failure.
+async function deleteFiles(client, fileIds) {
+  const payload = await client.mutate('fileDelete', FILE_DELETE_MUTATION, { fileIds });
+  return payload.deletedFileIds || [];
+}
+
+// Current alt text of each file, as a Map of ID to alt. Files that no longer
+// exist are left out.
+async function getFileAlts(client, fileIds) {
+  const data = await client.request(FILE_ALTS_QUERY, { ids: fileIds });
+  const alts = new Map();
+  (data?.nodes || []).forEach(node => {
+    if (node && node.id) alts.set(node.id, node.alt || '');
+  });
+  return alts;
+}
+
+// Sets the alt text of files, given [{ id, alt }]. Resolves to the updated IDs.
+// Throws ShopifyError on failure.
+async function updateFileAlts(client, updates) {
+  const payload = await client.mutate('fileUpdate', FILE_UPDATE_MUTATION, { files: updates });
+  return (payload.files || []).map(file => file.id);
+}
+
+module.exports = {
+  UPLOAD_PREFIX,
+  prefixFilename,
+  normalizeFileUrl,
+  createStagedTarget,
+  isStagedResourceUrl,
+  isShopifyCdnUrl,
+  pollForMediaReady,
+  createFileFromStaged,
+  deleteFiles,
+  getFileAlts,
+  updateFileAlts,
+};
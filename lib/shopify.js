@@ -0,0 +1,185 @@
+// lib/shopify.js
+// Shared Shopify Admin GraphQL client used by the API routes
+
+const DEFAULT_API_VERSION = '2024-10';
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// Error thrown by the client. `type` tells callers what went wrong:
+//   'network'   - fetch itself failed
+//   'http'      - non-2xx response that was not retried (or retries ran out)
+//   'parse'     - response body was not JSON
+//   'throttled' - Shopify kept returning THROTTLED after all retries
+//   'graphql'   - top-level `errors` array in the response
+//   'user'      - mutation returned `userErrors`
+class ShopifyError extends Error {
+  constructor(message, { type, status, errors, userErrors } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.type = type;
+    this.status = status;
+    this.errors = errors;
+    this.userErrors = userErrors;
+  }
+
+  // Value suitable for the `details` field of an API error response
+  get details() {
+    return this.userErrors || this.errors || this.message;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// fetch errors raised before a connection was made, so the request never
+// reached Shopify
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+function isUnsentError(err) {
+  const cause = err && err.cause;
+  return Boolean(cause && UNSENT_ERROR_CODES.includes(cause.code));
+}
+
+function isThrottledError(errors) {
+  return Array.isArray(errors) && errors.some(e => e && e.extensions && e.extensions.code === 'THROTTLED');
+}
+
+// Reads shop, token and API version from the environment
+function getShopifyConfig() {
+  return {
+    shop: process.env.SHOPIFY_SHOP,
+    token: process.env.SHOPIFY_ADMIN_TOKEN,
+    apiVersion: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+  };
+}
+
+function createShopifyClient({ shop, token, apiVersion = DEFAULT_API_VERSION, maxRetries = MAX_RETRIES } = {}) {
+  const endpoint = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
+
+  // Last throttle status reported by Shopify (leaky bucket)
+  let throttle = null;
+
+  // Wait until the bucket has refilled enough for a query of `cost` points
+  async function waitForCapacity(cost) {
+    if (!throttle || !throttle.restoreRate) return;
+    const elapsed = (Date.now() - throttle.at) / 1000;
+    const available = Math.min(throttle.maximumAvailable, throttle.currentlyAvailable + elapsed * throttle.restoreRate);
+    if (available >= cost) return;
+    const waitMs = Math.ceil(((cost - available) / throttle.restoreRate) * 1000);
+    console.warn(`Shopify throttle: ${Math.floor(available)} points available, need ${cost}, waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+
+  function recordCost(extensions) {
+    const cost = extensions && extensions.cost;
+    if (!cost || !cost.throttleStatus) return null;
+    throttle = { ...cost.throttleStatus, at: Date.now() };
+    return cost;
+  }
+
+  // Runs a query and returns `data`. Retries 429/5xx, network errors and
+  // THROTTLED responses with backoff; throws ShopifyError otherwise.
+  // Mutations pass `idempotent: false`: they may have run even when the
+  // response was lost or a 5xx, so only 429/THROTTLED and network errors
+  // from before the request was sent are retried.
+  async function request(query, variables = {}, { idempotent = true } = {}) {
+    let expectedCost = throttle ? throttle.lastRequestedCost || 0 : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForCapacity(expectedCost);
+
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': token,
+          },
+          body: JSON.stringify({ query, variables }),
+        });
+      } catch (err) {
+        if (attempt < maxRetries && (idempotent || isUnsentError(err))) {
+          const delay = backoffDelay(attempt);
+          console.warn(`Shopify request network error, retrying in ${Math.round(delay)}ms:`, err && err.message ? err.message : err);
+          await sleep(delay);
+          continue;
+        }
+        throw new ShopifyError(`Network error calling Shopify: ${err && err.message ? err.message : err}`, { type: 'network' });
+      }
+
+      if (response.status === 429 || (response.status >= 500 && idempotent)) {
+        if (attempt < maxRetries) {
+          const retryAfter = parseFloat(response.headers.get('retry-after'));
+          const delay = retryAfter > 0 ? retryAfter * 1000 : backoffDelay(attempt);
+          console.warn(`Shopify responded ${response.status}, retrying in ${Math.round(delay)}ms`);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      const text = await response.text();
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (err) {
+        console.error('Shopify response not JSON', { status: response.status, text });
+        throw new ShopifyError(`Shopify response not JSON (status ${response.status})`, { type: response.ok ? 'parse' : 'http', status: response.status });
+      }
+
+      const cost = recordCost(body.extensions);
+      if (cost) {
+        throttle.lastRequestedCost = cost.requestedQueryCost;
+      }
+
+      if (isThrottledError(body.errors)) {
+        if (attempt < maxRetries) {
+          expectedCost = (cost && cost.requestedQueryCost) || expectedCost;
+          if (!cost) await sleep(backoffDelay(attempt));
+          continue;
+        }
+        throw new ShopifyError('Shopify API throttled', { type: 'throttled', status: response.status, errors: body.errors });
+      }
+
+      if (!response.ok) {
+        throw new ShopifyError(`Shopify responded with status ${response.status}`, { type: 'http', status: response.status, errors: body.errors });
+      }
+
+      if (body.errors) {
+        throw new ShopifyError('Shopify GraphQL errors', { type: 'graphql', status: response.status, errors: body.errors });
+      }
+
+      return body.data;
+    }
+  }
+
+  // Runs a mutation and returns its payload (data[field]), throwing a
+  // ShopifyError of type 'user' when the payload has userErrors.
+  async function mutate(field, query, variables = {}) {
+    const data = await request(query, variables, { idempotent: false });
+    const payload = data && data[field];
+    if (!payload) {
+      throw new ShopifyError(`Shopify returned no ${field} payload`, { type: 'graphql' });
+    }
+    if (payload.userErrors && payload.userErrors.length) {
+      throw new ShopifyError(`${field} returned user errors`, { type: 'user', userErrors: payload.userErrors });
+    }
+    return payload;
+  }
+
+  return { request, mutate, endpoint };
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  ShopifyError,
+  createShopifyClient,
+  getShopifyConfig,
+};
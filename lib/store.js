@@ -0,0 +1,259 @@
+// lib/store.js
+// Key/value store shared across serverless instances.
+// Uses Redis (or Vercel KV / any Redis-protocol server) when REDIS_URL or KV_URL
+// is set, and falls back to an in-memory store for local development.
+
+const KEY_PREFIX = process.env.STORE_PREFIX || 'cpupload:';
+
+// Atomic sliding-window log: drop entries older than the window, then record
+// this hit if there is room. Returns { allowed, count, oldest entry time }.
+const SLIDING_WINDOW_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local window = tonumber(ARGV[2])
+  local limit = tonumber(ARGV[3])
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  local count = redis.call('ZCARD', key)
+  local allowed = 0
+  if count < limit then
+    redis.call('ZADD', key, now, ARGV[4])
+    redis.call('PEXPIRE', key, window)
+    count = count + 1
+    allowed = 1
+  end
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  return { allowed, count, tonumber(oldest[2] or now) }
+`;
+
+// Several sliding windows checked together: each key is trimmed and counted,
+// and the hit is recorded in all of them only when every one has room, so a
+// request one window rejects does not use up the others. ARGV holds now,
+// window, member, then one limit per key. Returns { allowed, then count and
+// oldest entry time per key }.
+const SLIDING_WINDOWS_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local window = tonumber(ARGV[2])
+  local counts = {}
+  local allowed = 1
+  for i, key in ipairs(KEYS) do
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+    counts[i] = redis.call('ZCARD', key)
+    if counts[i] >= tonumber(ARGV[3 + i]) then
+      allowed = 0
+    end
+  end
+  local result = { allowed }
+  for i, key in ipairs(KEYS) do
+    if allowed == 1 then
+      redis.call('ZADD', key, now, ARGV[3])
+      redis.call('PEXPIRE', key, window)
+      counts[i] = counts[i] + 1
+    end
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    table.insert(result, counts[i])
+    table.insert(result, tonumber(oldest[2] or now))
+  end
+  return result
+`;
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+
+    // Clean up expired entries periodically to prevent memory leaks
+    setInterval(() => this.sweep(), 5 * 60 * 1000).unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.data.entries()) {
+      if (entry.expiresAt && now > entry.expiresAt) {
+        this.data.delete(key);
+      }
+    }
+  }
+
+  entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    this.data.set(key, { value: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async del(key) {
+    this.data.delete(key);
+  }
+
+  async setIfAbsent(key, value, { ttlMs } = {}) {
+    if (this.entry(key)) return false;
+    await this.set(key, value, { ttlMs });
+    return true;
+  }
+
+  async incr(key) {
+    const entry = this.entry(key);
+    const value = (entry ? JSON.parse(entry.value) : 0) + 1;
+    this.data.set(key, { value: JSON.stringify(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async slidingWindow(key, { limit, windowMs }) {
+    const now = Date.now();
+    const entry = this.entry(key);
+    const hits = (entry ? entry.hits : []).filter(t => t > now - windowMs);
+
+    let allowed = false;
+    if (hits.length < limit) {
+      hits.push(now);
+      allowed = true;
+    }
+
+    this.data.set(key, { hits, expiresAt: now + windowMs });
+    return { allowed, count: hits.length, resetMs: Math.max(0, hits[0] + windowMs - now) };
+  }
+
+  // windows: [{ key, limit }]. Resolves to { allowed, results } with one
+  // { allowed, count, resetMs } per window; see SLIDING_WINDOWS_SCRIPT.
+  async slidingWindows(windows, { windowMs }) {
+    const now = Date.now();
+    const hitLists = windows.map(({ key }) => {
+      const entry = this.entry(key);
+      return (entry ? entry.hits : []).filter(t => t > now - windowMs);
+    });
+    const allowed = hitLists.every((hits, i) => hits.length < windows[i].limit);
+
+    const results = windows.map(({ key, limit }, i) => {
+      const hits = hitLists[i];
+      const hasRoom = hits.length < limit;
+      if (allowed) hits.push(now);
+      this.data.set(key, { hits, expiresAt: now + windowMs });
+      const oldest = hits.length ? hits[0] : now;
+      return { allowed: hasRoom, count: hits.length, resetMs: Math.max(0, oldest + windowMs - now) };
+    });
+    return { allowed, results };
+  }
+}
+
+class RedisStore {
+  constructor(url) {
+    // Only loaded when a Redis URL is configured
+    const Redis = require('ioredis');
+
+    this.name = 'redis';
+    this.redis = new Redis(url, {
+      keyPrefix: KEY_PREFIX,
+      maxRetriesPerRequest: 2,
+      connectTimeout: 5000,
+    });
+    this.redis.defineCommand('slidingWindow', { numberOfKeys: 1, lua: SLIDING_WINDOW_SCRIPT });
+    // Variable key count: passed as the first argument
+    this.redis.defineCommand('slidingWindows', { lua: SLIDING_WINDOWS_SCRIPT });
+    this.redis.on('error', err => console.error('Redis store error:', err.message));
+  }
+
+  async get(key) {
+    const value = await this.redis.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  // Values in key order, null for missing keys
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+    const values = await this.redis.mget(...keys);
+    return values.map(value => (value === null ? null : JSON.parse(value)));
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    if (ttlMs) {
+      await this.redis.set(key, JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await this.redis.set(key, JSON.stringify(value));
+    }
+  }
+
+  async del(key) {
+    await this.redis.del(key);
+  }
+
+  // Atomic SET NX, e.g. for locks. Resolves to true when the key was set.
+  async setIfAbsent(key, value, { ttlMs } = {}) {
+    const args = ttlMs ? ['PX', ttlMs, 'NX'] : ['NX'];
+    return (await this.redis.set(key, JSON.stringify(value), ...args)) === 'OK';
+  }
+
+  // Atomic counter, e.g. for sequence numbers. Resolves to the new value.
+  async incr(key) {
+    return this.redis.incr(key);
+  }
+
+  async slidingWindow(key, { limit, windowMs }) {
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36).slice(2)}`;
+    const [allowed, count, oldest] = await this.redis.slidingWindow(key, now, windowMs, limit, member);
+    return { allowed: allowed === 1, count, resetMs: Math.max(0, Number(oldest) + windowMs - now) };
+  }
+
+  async slidingWindows(windows, { windowMs }) {
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36).slice(2)}`;
+    const [allowed, ...reply] = await this.redis.slidingWindows(
+      windows.length,
+      ...windows.map(({ key }) => key),
+      now, windowMs, member,
+      ...windows.map(({ limit }) => limit)
+    );
+    const results = windows.map(({ limit }, i) => {
+      const count = reply[i * 2];
+      const oldest = Number(reply[i * 2 + 1]);
+      // After a hit was recorded every window had room before it
+      return { allowed: allowed === 1 || count < limit, count, resetMs: Math.max(0, oldest + windowMs - now) };
+    });
+    return { allowed: allowed === 1, results };
+  }
+}
+
+let store = null;
+
+// Returns the process-wide store, creating it on first use
+function getStore() {
+  if (!store) {
+    const url = process.env.REDIS_URL || process.env.KV_URL;
+    if (url) {
+      store = new RedisStore(url);
+    } else {
+      if (process.env.VERCEL_ENV === 'production') {
+        console.warn('No REDIS_URL or KV_URL configured - using in-memory store, which is per-instance and resets on cold start');
+      }
+      store = new MemoryStore();
+    }
+  }
+  return store;
+}
+
+// Replaces the store, e.g. with a MemoryStore in scripts
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  getStore,
+  setStore,
+};
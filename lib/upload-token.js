@@ -0,0 +1,98 @@
+// lib/upload-token.js
+// Shopify App Proxy signature checks and short-lived signed upload tokens
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { safeEqual, signToken, verifyToken } = require('./signed-token');
+
+const TOKEN_TTL_MS = (parseInt(process.env.UPLOAD_TOKEN_TTL_SECONDS, 10) || 15 * 60) * 1000;
+// App Proxy requests older than this are rejected to limit replay
+const PROXY_MAX_AGE_SECONDS = 5 * 60;
+
+function getProxySecret() {
+  return process.env.SHOPIFY_API_SECRET || null;
+}
+
+function getTokenSecret() {
+  return process.env.UPLOAD_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET || null;
+}
+
+// Verifies the `signature` Shopify adds to App Proxy requests: the other
+// query parameters sorted by key, joined as key=value (multiple values
+// comma-separated) with no separator, HMAC-SHA256'd with the app secret.
+function verifyProxySignature(query, secret = getProxySecret()) {
+  if (!secret || !query || !query.signature) return false;
+
+  const { signature, ...params } = query;
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('');
+
+  const expected = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  if (!safeEqual(expected, signature)) return false;
+
+  const timestamp = parseInt(params.timestamp, 10);
+  return Number.isFinite(timestamp) && Math.abs(Date.now() / 1000 - timestamp) <= PROXY_MAX_AGE_SECONDS;
+}
+
+function issueUploadToken({ shop, sessionId }, secret = getTokenSecret()) {
+  const now = Date.now();
+  const payload = { shop, sid: sessionId, iat: now, exp: now + TOKEN_TTL_MS };
+  return { token: signToken(payload, secret), expiresAt: payload.exp };
+}
+
+// Resolves to the token payload { shop, sid, iat, exp } or throws ApiError(401)
+function verifyUploadToken(token, secret = getTokenSecret()) {
+  const invalid = message => new ApiError(401, 'Invalid upload token', { code: 'INVALID_UPLOAD_TOKEN', message });
+
+  if (!token) {
+    throw new ApiError(401, 'Missing upload token', { code: 'MISSING_UPLOAD_TOKEN', message: 'Please reload the page and try again.' });
+  }
+
+  const payload = verifyToken(token, secret);
+  if (!payload) {
+    throw invalid('Please reload the page and try again.');
+  }
+
+  if (!payload.exp || Date.now() > payload.exp) {
+    throw new ApiError(401, 'Upload token expired', { code: 'UPLOAD_TOKEN_EXPIRED', message: 'Your upload session expired. Please try again.' });
+  }
+
+  const shop = process.env.SHOPIFY_SHOP;
+  if (shop && payload.shop !== shop) {
+    throw invalid('This upload token belongs to a different store.');
+  }
+
+  return payload;
+}
+
+// Checks the X-Upload-Token header and sends a 401 when it is not valid, or
+// a 500 when no secret is configured to check it with. Resolves to the token
+// payload, or `null` if the request was rejected.
+function requireUploadToken(req, res) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    console.error('UPLOAD_TOKEN_SECRET / SHOPIFY_API_SECRET not set in environment variables');
+    res.status(500).json({ success: false, error: 'Server configuration error', message: 'Upload token secret not configured. Please set SHOPIFY_API_SECRET in environment variables.' });
+    return null;
+  }
+
+  try {
+    return verifyUploadToken(req.headers['x-upload-token'], secret);
+  } catch (err) {
+    if (!(err instanceof ApiError)) throw err;
+    console.warn('Upload rejected:', err.error);
+    res.status(err.status).json(err.toJSON());
+    return null;
+  }
+}
+
+module.exports = {
+  TOKEN_TTL_MS,
+  getTokenSecret,
+  verifyProxySignature,
+  issueUploadToken,
+  verifyUploadToken,
+  requireUploadToken,
+};
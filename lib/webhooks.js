@@ -0,0 +1,47 @@
+// lib/webhooks.js
+// Verification of Shopify webhook requests
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { readRawBody } = require('./request-body');
+
+// Webhooks created in Shopify admin are signed with the key shown under
+// Settings -> Notifications -> Webhooks; app webhooks with the app secret
+function getWebhookSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET || null;
+}
+
+// Checks X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body) and
+// resolves to { topic, shop, payload } or throws ApiError
+async function verifyShopifyWebhook(req) {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    throw new ApiError(500, 'Server configuration error', { message: 'Webhook secret not configured. Please set SHOPIFY_WEBHOOK_SECRET in environment variables.' });
+  }
+
+  const rawBody = await readRawBody(req);
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(req.headers['x-shopify-hmac-sha256'] || ''), 'base64');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new ApiError(401, 'Invalid webhook signature');
+  }
+
+  const shop = req.headers['x-shopify-shop-domain'];
+  if (process.env.SHOPIFY_SHOP && shop !== process.env.SHOPIFY_SHOP) {
+    throw new ApiError(403, 'Unknown shop');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (err) {
+    throw new ApiError(400, 'Invalid JSON body');
+  }
+
+  return { topic: req.headers['x-shopify-topic'], shop, payload };
+}
+
+module.exports = {
+  verifyShopifyWebhook,
+};
@@ -0,0 +1,141 @@
+// lib/zip.js
+// Minimal streaming ZIP writer. Entries are stored uncompressed (photos are
+// already compressed) and written as they arrive, with the CRC and sizes in a
+// data descriptor after each file, so nothing is buffered in memory.
+
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+// Flags: bit 3 = sizes in a data descriptor, bit 11 = UTF-8 names
+const FLAGS = 0x0808;
+const VERSION = 20;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(crc, buffer) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// Writes a ZIP to `output` (e.g. an http.ServerResponse), waiting for it to
+// drain. Call addFile for each entry, then finish.
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(buffer) {
+    offset += buffer.length;
+    if (offset > MAX_ZIP_SIZE) {
+      throw new Error('ZIP is larger than 4 GB');
+    }
+    if (!output.write(buffer)) {
+      await new Promise(resolve => output.once('drain', resolve));
+    }
+  }
+
+  // Adds one file from a Buffer or an async iterable of chunks (e.g. a fetch
+  // body). When the source fails midway the entry is closed with what was
+  // written, so the archive stays readable, and the error is rethrown.
+  async function addFile(name, source, { date } = {}) {
+    if (entries.length >= MAX_ENTRIES) {
+      throw new Error(`ZIP can hold at most ${MAX_ENTRIES} files`);
+    }
+
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date: dosDate } = dosDateTime(date);
+    const entry = { nameBuffer, time, dosDate, offset, crc: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(0, 8); // stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    // CRC and sizes (14-25) follow in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    await write(Buffer.concat([header, nameBuffer]));
+
+    let sourceError = null;
+    try {
+      for await (const chunk of Buffer.isBuffer(source) ? [source] : source) {
+        const buffer = Buffer.from(chunk);
+        entry.crc = crc32(entry.crc, buffer);
+        entry.size += buffer.length;
+        await write(buffer);
+      }
+    } catch (err) {
+      sourceError = err;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+    entries.push(entry);
+
+    if (sourceError) throw sourceError;
+    return { size: entry.size };
+  }
+
+  // Writes the central directory. Does not end `output`.
+  async function finish() {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4);
+      record.writeUInt16LE(VERSION, 6);
+      record.writeUInt16LE(FLAGS, 8);
+      record.writeUInt16LE(0, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.dosDate, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.size, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra, comment, disk, attributes (30-41) stay zero
+      record.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([record, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  }
+
+  return { addFile, finish };
+}
+
+module.exports = {
+  createZipWriter,
+};
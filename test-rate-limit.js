@@ -2,12 +2,27 @@
 
 /**
  * Rate Limit Test Script
- * Tests the upload rate limiting functionality
- * Usage: node test-rate-limit.js [number_of_uploads]
+ * Tests the upload rate limiting functionality, one limit dimension at a time
+ * Usage: node test-rate-limit.js [number_of_uploads] [cart|ip|shop|blocked|all]
+ *
+ *   cart    - same cart token on every request, expects the per-cart limit to trigger
+ *   ip      - new cart token on every request, expects the per-IP limit to trigger
+ *   shop    - new cart token and X-Forwarded-For on every request, expects the shop
+ *             ceiling to trigger (spoofed IPs only work against a local `vercel dev`)
+ *   blocked - exhausts one cart's limit, keeps sending with it, then checks that
+ *             the rejected requests did not count towards the shop limit
+ *   all     - runs cart, ip, shop and blocked in turn
+ *
+ * Set low limits on the server while testing, e.g.
+ *   UPLOAD_RATE_LIMIT_CART=5 UPLOAD_RATE_LIMIT_IP=10 UPLOAD_RATE_LIMIT_SHOP=20 vercel dev
+ *
+ * Upload tokens are signed here, so run it with the server's UPLOAD_TOKEN_SECRET
+ * (or SHOPIFY_API_SECRET) and SHOPIFY_SHOP set.
  */
 
 const https = require('https');
 const http = require('http');
+const { getTokenSecret, issueUploadToken } = require('./lib/upload-token');
 
 // Configuration
 const API_URL = process.env.VERCEL_URL
@@ -16,13 +31,28 @@ const API_URL = process.env.VERCEL_URL
   ? process.env.API_URL
   : 'http://localhost:3000/api/upload'; // For local testing
 
-const DEFAULT_UPLOAD_COUNT = 55; // Test beyond the 50 limit
+const DEFAULT_UPLOAD_COUNT = 55; // Test beyond the default 50 per-cart limit
+const DIMENSIONS = ['cart', 'ip', 'shop'];
+const TESTS = [...DIMENSIONS, 'blocked'];
+// Requests sent after the cart limit triggered in the blocked test
+const BLOCKED_RETRIES = 5;
 const DELAY_BETWEEN_REQUESTS = 100; // ms
 
-// Test image data (1x1 pixel JPEG in base64)
+// Test image data (1x1 pixel JPEG in base64). It passes the rate limiter and is
+// then rejected as too small, so the test never stores files in Shopify.
+// Any other status than this rejection or a 429 is a failure.
+const PASSED_LIMITER_CODE = 'IMAGE_TOO_SMALL';
 const TEST_IMAGE_DATA = "data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAYEBQYFBAYGBQYHBwYIChAKCgkJChQODwwQFxQYGBcUFhYaHSUfGhsjHBYWICwgIyYnKSopGR8tMC0oMCUoKSj/2wBDAQcHBwoIChMKChMoGhYaKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCj/wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAv/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAAAAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCdABmX/9k=";
 
-function makeUploadRequest(filename) {
+function randomId() {
+  return Math.random().toString(36).slice(2, 12);
+}
+
+function randomIp() {
+  return `10.${Math.floor(Math.random() * 256)}.${Math.floor(Math.random() * 256)}.${Math.floor(Math.random() * 254) + 1}`;
+}
+
+function makeUploadRequest(filename, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
     const postData = JSON.stringify({
       filename: filename,
@@ -37,18 +67,29 @@ function makeUploadRequest(filename) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+        'Content-Length': Buffer.byteLength(postData),
+        ...extraHeaders
       }
     };
 
-    const req = https.request(options, (res) => {
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(options, (res) => {
       let data = '';
 
-      // Capture rate limit headers
+      // Capture rate limit headers, overall and per dimension
       const rateLimitHeaders = {
         limit: res.headers['x-ratelimit-limit'],
-        remaining: res.headers['x-ratelimit-remaining']
+        remaining: res.headers['x-ratelimit-remaining'],
+        retryAfter: res.headers['retry-after']
       };
+      DIMENSIONS.forEach(dimension => {
+        rateLimitHeaders[dimension] = {
+          limit: res.headers[`x-ratelimit-limit-${dimension}`],
+          remaining: res.headers[`x-ratelimit-remaining-${dimension}`],
+          reset: res.headers[`x-ratelimit-reset-${dimension}`],
+          retryAfter: res.headers[`x-ratelimit-retry-after-${dimension}`]
+        };
+      });
 
       res.on('data', (chunk) => {
         data += chunk;
@@ -81,37 +122,61 @@ function makeUploadRequest(filename) {
   });
 }
 
-async function runRateLimitTest(uploadCount) {
-  console.log('🛡️  Rate Limit Test Starting...');
-  console.log(`📊 Testing ${uploadCount} uploads to: ${API_URL}`);
-  console.log(`⏱️  Rate limit: 50 uploads per hour per IP\n`);
+// The server limits by the cart in the upload token, so each cart token gets
+// its own, as /api/proxy-token would issue it
+function cartHeaders(cartToken) {
+  const { token } = issueUploadToken({ shop: process.env.SHOPIFY_SHOP, sessionId: `cart:${cartToken}` });
+  return { 'X-Upload-Token': token, 'X-Cart-Token': cartToken };
+}
+
+// Headers that isolate one dimension: everything else varies per request
+function headersFor(dimension, fixedCartToken) {
+  if (dimension === 'cart') {
+    return cartHeaders(fixedCartToken);
+  }
+  if (dimension === 'ip') {
+    return cartHeaders(`test-${randomId()}`);
+  }
+  return { ...cartHeaders(`test-${randomId()}`), 'X-Forwarded-For': randomIp() };
+}
+
+function passedLimiter(result) {
+  return result.statusCode < 300 || result.data.code === PASSED_LIMITER_CODE;
+}
+
+async function runRateLimitTest(uploadCount, dimension) {
+  console.log(`\n🛡️  Rate Limit Test Starting... (dimension: ${dimension})`);
+  console.log(`📊 Testing up to ${uploadCount} uploads to: ${API_URL}\n`);
 
-  let successful = 0;
+  const fixedCartToken = `test-${randomId()}`;
+  let passed = 0;
   let rateLimited = 0;
   let errors = 0;
-  let lastRemaining = null;
+  let firstBlock = null;
+  let lastHeaders = null;
 
   for (let i = 1; i <= uploadCount; i++) {
     const filename = `rate_limit_test_${Date.now()}_${i}.jpg`;
 
     try {
-      const result = await makeUploadRequest(filename);
+      const result = await makeUploadRequest(filename, headersFor(dimension, fixedCartToken));
+      lastHeaders = result.headers;
+      const dimHeaders = result.headers[dimension];
 
-      // Update counters
-      if (result.data.success) {
-        successful++;
-        console.log(`✅ ${i}/${uploadCount} - SUCCESS - Remaining: ${result.headers.remaining || 'N/A'}`);
-      } else if (result.data.error === 'Rate limit exceeded') {
+      if (result.statusCode === 429) {
         rateLimited++;
-        console.log(`🚫 ${i}/${uploadCount} - RATE LIMITED - Reset in ${result.data.resetIn || 'N/A'} minutes`);
+        if (!firstBlock) {
+          firstBlock = { attempt: i, limit: result.data.limit, retryAfter: result.headers.retryAfter };
+        }
+        console.log(`🚫 ${i}/${uploadCount} - RATE LIMITED by ${result.data.limit || 'unknown'} - Retry after ${result.headers.retryAfter || 'N/A'}s`);
+        // Nothing more to learn once the expected limit has triggered
+        if (result.data.limit === dimension) break;
+      } else if (passedLimiter(result)) {
+        passed++;
+        console.log(`✅ ${i}/${uploadCount} - PASSED LIMITER (${result.statusCode}) - ${dimension} remaining: ${dimHeaders.remaining || 'N/A'}/${dimHeaders.limit || 'N/A'}`);
       } else {
         errors++;
-        console.log(`❌ ${i}/${uploadCount} - ERROR: ${result.data.error || 'Unknown error'}`);
-      }
-
-      // Show rate limit info
-      if (result.headers.limit && result.headers.remaining !== undefined) {
-        lastRemaining = result.headers.remaining;
+        console.log(`❌ ${i}/${uploadCount} - ERROR ${result.statusCode}: ${result.data.error || 'Unknown error'}`);
       }
 
     } catch (error) {
@@ -132,43 +197,132 @@ async function runRateLimitTest(uploadCount) {
 
   // Final results
   console.log('\n' + '='.repeat(50));
-  console.log('🎯 FINAL RESULTS');
+  console.log(`🎯 RESULTS (${dimension})`);
   console.log('='.repeat(50));
-  console.log(`📊 Total attempts: ${uploadCount}`);
-  console.log(`✅ Successful uploads: ${successful}`);
+  console.log(`✅ Passed limiter: ${passed}`);
   console.log(`🚫 Rate limited: ${rateLimited}`);
   console.log(`❌ Errors: ${errors}`);
-  console.log(`📈 Success rate: ${((successful / uploadCount) * 100).toFixed(1)}%`);
-
-  if (rateLimited > 0) {
-    console.log('\n🎉 SUCCESS: Rate limiting is working!');
-    console.log(`   Blocked ${rateLimited} requests after ${successful} successful uploads.`);
-  } else if (uploadCount <= 50) {
-    console.log('\n⚠️  PARTIAL: Rate limit not triggered yet.');
-    console.log('   Try running with more than 50 uploads to test the limit.');
+
+  if (lastHeaders) {
+    DIMENSIONS.forEach(d => {
+      const h = lastHeaders[d];
+      if (h.limit) {
+        console.log(`📊 ${d}: ${h.remaining}/${h.limit} remaining, resets in ${h.reset}s`);
+      }
+    });
+  }
+
+  let ok = false;
+  if (errors) {
+    console.log(`\n❌ FAILURE: ${errors} requests failed before reaching the limiter or with an error.`);
+  } else if (!firstBlock) {
+    console.log(`\n⚠️  PARTIAL: No limit triggered. Send more requests than the ${dimension} limit.`);
+  } else if (firstBlock.limit === dimension) {
+    ok = true;
+    console.log(`\n🎉 SUCCESS: ${dimension} limit triggered after ${passed} requests (Retry-After: ${firstBlock.retryAfter}s).`);
   } else {
-    console.log('\n❌ FAILURE: No rate limiting detected!');
-    console.log('   Check if the rate limiting code is deployed and working.');
+    console.log(`\n❌ FAILURE: expected the ${dimension} limit but ${firstBlock.limit} triggered first.`);
+    console.log('   Check the configured limits: the tested one must be the lowest for this traffic.');
+  }
+
+  return ok;
+}
+
+// A shopper stuck on the cart limit keeps retrying. Only allowed requests may
+// count towards the shop window, or one client could lock out the whole store.
+async function runBlockedTest(uploadCount) {
+  console.log('\n🛡️  Blocked Request Test Starting... (rejected requests must not count for the shop)');
+  console.log(`📊 Testing up to ${uploadCount} uploads to: ${API_URL}\n`);
+
+  const fixedCartToken = `test-${randomId()}`;
+  let shopRemaining = null;
+  let blocked = false;
+
+  for (let i = 1; i <= uploadCount && !blocked; i++) {
+    const result = await makeUploadRequest(`rate_limit_blocked_${Date.now()}_${i}.jpg`, cartHeaders(fixedCartToken));
+    if (result.statusCode === 429 && result.data.limit === 'cart') {
+      blocked = true;
+      console.log(`🚫 ${i}/${uploadCount} - cart limit reached, shop remaining before: ${shopRemaining}`);
+    } else if (result.statusCode === 429) {
+      console.log(`\n❌ FAILURE: expected the cart limit but ${result.data.limit} triggered first.`);
+      return false;
+    } else if (!passedLimiter(result)) {
+      console.log(`\n❌ FAILURE: ${result.statusCode} ${result.data.error || 'Unknown error'} before reaching the limiter.`);
+      return false;
+    } else {
+      shopRemaining = parseInt(result.headers.shop.remaining, 10);
+    }
+  }
+
+  if (!blocked || shopRemaining === null) {
+    console.log('\n⚠️  PARTIAL: The cart limit never triggered. Send more requests than the cart limit.');
+    return false;
+  }
+
+  for (let i = 1; i <= BLOCKED_RETRIES; i++) {
+    const result = await makeUploadRequest(`rate_limit_blocked_retry_${i}.jpg`, cartHeaders(fixedCartToken));
+    console.log(`🚫 retry ${i}/${BLOCKED_RETRIES} - ${result.statusCode}, shop remaining header: ${result.headers.shop.remaining}`);
+    await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_REQUESTS));
+  }
+
+  // One allowed request from another shopper uses exactly one more slot
+  const fresh = await makeUploadRequest(`rate_limit_blocked_fresh_${Date.now()}.jpg`, cartHeaders(`test-${randomId()}`));
+  if (!passedLimiter(fresh)) {
+    console.log(`\n❌ FAILURE: the allowed request got ${fresh.statusCode} ${fresh.data.error || 'Unknown error'}.`);
+    return false;
+  }
+  const after = parseInt(fresh.headers.shop.remaining, 10);
+
+  console.log('\n' + '='.repeat(50));
+  console.log('🎯 RESULTS (blocked)');
+  console.log('='.repeat(50));
+  console.log(`📊 shop remaining: ${shopRemaining} before the retries, ${after} after the next allowed request`);
+
+  if (after === shopRemaining - 1) {
+    console.log(`\n🎉 SUCCESS: ${BLOCKED_RETRIES} rejected requests did not reduce the shop's remaining uploads.`);
+    return true;
   }
+  console.log(`\n❌ FAILURE: expected ${shopRemaining - 1} shop uploads remaining (other traffic on the store also counts).`);
+  return false;
+}
 
-  if (lastRemaining !== null) {
-    console.log(`\n📊 Final rate limit status: ${lastRemaining} remaining`);
+async function runAll(uploadCount, tests) {
+  const results = {};
+  for (const test of tests) {
+    results[test] = test === 'blocked'
+      ? await runBlockedTest(uploadCount)
+      : await runRateLimitTest(uploadCount, test);
   }
 
   console.log('\n💡 Tips:');
-  console.log('   • Rate limit resets every hour');
-  console.log('   • Each IP address has its own limit');
-  console.log('   • Use different IP addresses to test further');
+  console.log('   • Limits use a sliding window (UPLOAD_RATE_WINDOW_SECONDS, default 1 hour)');
+  console.log('   • Lower UPLOAD_RATE_LIMIT_CART / _IP / _SHOP on a local server to test quickly');
+  console.log('   • Spoofed X-Forwarded-For (shop test) is ignored by deployed Vercel functions');
   console.log('   • Check Vercel logs for detailed rate limit activity');
+
+  if (tests.some(t => !results[t])) {
+    process.exitCode = 1;
+  }
 }
 
 // Main execution
 const uploadCount = parseInt(process.argv[2]) || DEFAULT_UPLOAD_COUNT;
+const dimensionArg = process.argv[3] || 'cart';
 
 if (uploadCount < 1 || uploadCount > 200) {
   console.error('❌ Invalid upload count. Please specify a number between 1 and 200.');
-  console.log('Usage: node test-rate-limit.js [number_of_uploads]');
-  console.log('Example: node test-rate-limit.js 55');
+  console.log('Usage: node test-rate-limit.js [number_of_uploads] [cart|ip|shop|blocked|all]');
+  console.log('Example: node test-rate-limit.js 55 cart');
+  process.exit(1);
+}
+
+if (dimensionArg !== 'all' && !TESTS.includes(dimensionArg)) {
+  console.error(`❌ Unknown test "${dimensionArg}". Use cart, ip, shop, blocked or all.`);
+  process.exit(1);
+}
+
+if (!getTokenSecret()) {
+  console.error('❌ Set UPLOAD_TOKEN_SECRET (or SHOPIFY_API_SECRET) to the server\'s value to sign upload tokens.');
   process.exit(1);
 }
 
@@ -185,7 +339,7 @@ if (API_URL.includes('localhost') && !process.env.FORCE_LOCAL) {
   console.log('');
 }
 
-runRateLimitTest(uploadCount).catch(error => {
+runAll(uploadCount, dimensionArg === 'all' ? TESTS : [dimensionArg]).catch(error => {
   console.error('💥 Test failed:', error);
   process.exit(1);
 });
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Upload Crop Test Script
+ * Runs api/upload-crop.js in-process against the in-memory store, so no
+ * server, Redis or Shopify store is needed.
+ * Usage: node test-upload-crop.js
+ *
+ * Checks that only the session that uploaded a photo can set its crop, that a
+ * record without a session cannot be cropped by anyone, and that ordered
+ * uploads and crops of the wrong shape are rejected.
+ */
+
+// The in-memory store, and a secret to sign the upload tokens with
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+process.env.UPLOAD_TOKEN_SECRET = process.env.UPLOAD_TOKEN_SECRET || 'test-upload-crop-secret';
+
+const handler = require('./api/upload-crop');
+const { getStore } = require('./lib/store');
+const { issueUploadToken } = require('./lib/upload-token');
+const { getUploadRecord } = require('./lib/manifest');
+
+const OWNER = 'cart:test-owner';
+const OTHER = 'cart:test-other';
+
+// 2000x2800 photo: the whole of it has the 10x14 in shape of a 100 piece puzzle
+const CROP = { x: 0, y: 0, width: 2000, height: 2800, rotate: 0, imageWidth: 2000, imageHeight: 2800 };
+
+function makeRecord(fileId, fields = {}) {
+  return {
+    fileId,
+    url: `https://cdn.shopify.com/s/files/test/${fileId}.jpg`,
+    width: 2000,
+    height: 2800,
+    crop: null,
+    session: OWNER,
+    status: 'uploaded',
+    ...fields,
+  };
+}
+
+// Calls the handler with a token for `session`. Resolves to { statusCode, data }.
+function callCrop(session, body) {
+  return new Promise(resolve => {
+    const { token } = issueUploadToken({ shop: process.env.SHOPIFY_SHOP, sessionId: session });
+    const req = {
+      method: 'POST',
+      headers: { 'x-upload-token': token },
+      body,
+      connection: { remoteAddress: '127.0.0.1' },
+    };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      getHeader(name) { return this.headers[name.toLowerCase()]; },
+      status(code) { this.statusCode = code; return this; },
+      json(data) { resolve({ statusCode: this.statusCode, data }); return this; },
+      end() { resolve({ statusCode: this.statusCode, data: null }); return this; },
+    };
+    handler(req, res);
+  });
+}
+
+const TESTS = [
+  {
+    name: 'owner sets the crop',
+    record: makeRecord('crop-owner'),
+    session: OWNER,
+    expect: 200,
+    check: async (result) => {
+      const stored = await getUploadRecord('crop-owner');
+      return result.data.quality && result.data.quality.rating === 'good' && stored.crop && stored.crop.height === 2800;
+    },
+  },
+  {
+    name: 'another session is rejected',
+    record: makeRecord('crop-other'),
+    session: OTHER,
+    expect: 403,
+    code: 'UPLOAD_SESSION_MISMATCH',
+  },
+  {
+    name: 'a record without a session is rejected',
+    record: makeRecord('crop-no-session', { session: null }),
+    session: OTHER,
+    expect: 403,
+    code: 'UPLOAD_SESSION_MISMATCH',
+    check: async () => (await getUploadRecord('crop-no-session')).crop === null,
+  },
+  {
+    name: 'an ordered upload is rejected',
+    record: makeRecord('crop-claimed', { status: 'claimed' }),
+    session: OWNER,
+    expect: 409,
+    code: 'UPLOAD_CLAIMED',
+  },
+  {
+    name: 'a crop of the wrong shape is rejected',
+    record: makeRecord('crop-shape'),
+    session: OWNER,
+    crop: { ...CROP, height: 2000 },
+    expect: 400,
+    code: 'INVALID_CROP',
+  },
+  {
+    name: 'an unknown upload is rejected',
+    session: OWNER,
+    fileId: 'crop-missing',
+    expect: 404,
+    code: 'UPLOAD_NOT_FOUND',
+  },
+];
+
+async function runTests() {
+  console.log('\n✂️  Upload Crop Test Starting...\n');
+  const store = getStore();
+  let failed = 0;
+
+  for (const test of TESTS) {
+    if (test.record) {
+      await store.set(`upload:file:${test.record.fileId}`, test.record);
+    }
+
+    const fileId = test.fileId || test.record.fileId;
+    const result = await callCrop(test.session, { fileId, size: '100', crop: test.crop || CROP });
+    const ok = result.statusCode === test.expect &&
+      (!test.code || result.data.code === test.code) &&
+      (!test.check || await test.check(result));
+
+    if (ok) {
+      console.log(`✅ ${test.name} (${result.statusCode})`);
+    } else {
+      failed++;
+      console.log(`❌ ${test.name}: expected ${test.expect}${test.code ? ` ${test.code}` : ''}, got ${result.statusCode} ${JSON.stringify(result.data)}`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(50));
+  if (failed) {
+    console.log(`❌ FAILURE: ${failed} of ${TESTS.length} tests failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`🎉 SUCCESS: all ${TESTS.length} tests passed`);
+  }
+}
+
+runTests().catch(error => {
+  console.error('💥 Test failed:', error);
+  process.exit(1);
+});
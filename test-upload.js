@@ -1,13 +1,40 @@
 // test-upload.js
 // Run this locally to test your Vercel endpoint before deploying to Shopify
-// Usage: node test-upload.js
+// Usage: node test-upload.js [json|multipart|raw]
+// Signs its own upload token, so set the server's UPLOAD_TOKEN_SECRET (or
+// SHOPIFY_API_SECRET) and SHOPIFY_SHOP when running it.
 
 const fs = require('fs');
 const path = require('path');
+const FormData = require('form-data');
+const { getTokenSecret, issueUploadToken } = require('./lib/upload-token');
 
 // CONFIGURE THESE:
 const VERCEL_ENDPOINT = 'https://shopify-upload-954lic3xv-mostofa-tanim-aniks-projects.vercel.app/api/upload'; // Change this!
 const TEST_IMAGE_PATH = './test-image.jpg'; // Path to a test image
+const UPLOAD_MODE = process.argv[2] || 'json'; // Request body format to test
+
+// Builds the request for each supported body format
+function buildRequest(imageBuffer, mimeType) {
+  if (UPLOAD_MODE === 'multipart') {
+    const form = new FormData();
+    form.append('image', imageBuffer, { filename: 'test-image.jpg', contentType: mimeType });
+    return { headers: form.getHeaders(), body: form.getBuffer() };
+  }
+
+  if (UPLOAD_MODE === 'raw') {
+    return {
+      headers: { 'Content-Type': mimeType, 'X-Filename': encodeURIComponent('test-image.jpg') },
+      body: imageBuffer,
+    };
+  }
+
+  const dataUrl = `data:${mimeType};base64,${imageBuffer.toString('base64')}`;
+  return {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: 'test-image.jpg', image: dataUrl }),
+  };
+}
 
 async function testUpload() {
   console.log('🧪 Testing image upload...\n');
@@ -22,23 +49,24 @@ async function testUpload() {
   try {
     // Read the test image
     const imageBuffer = fs.readFileSync(TEST_IMAGE_PATH);
-    const base64Image = imageBuffer.toString('base64');
     const mimeType = 'image/jpeg'; // Adjust if needed
-    const dataUrl = `data:${mimeType};base64,${base64Image}`;
+    const request = buildRequest(imageBuffer, mimeType);
 
     console.log('📤 Uploading test image...');
     console.log('Endpoint:', VERCEL_ENDPOINT);
+    console.log('Body format:', UPLOAD_MODE);
     console.log('Image size:', (imageBuffer.length / 1024).toFixed(2), 'KB\n');
 
+    if (!getTokenSecret()) {
+      console.error('❌ Set UPLOAD_TOKEN_SECRET (or SHOPIFY_API_SECRET) to sign the upload token');
+      return;
+    }
+    const { token } = issueUploadToken({ shop: process.env.SHOPIFY_SHOP, sessionId: 'cart:test-upload' });
+
     const response = await fetch(VERCEL_ENDPOINT, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        filename: 'test-image.jpg',
-        image: dataUrl
-      })
+      headers: { ...request.headers, 'X-Upload-Token': token },
+      body: request.body
     });
 
     const responseText = await response.text();